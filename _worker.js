@@ -12,6 +12,20 @@
 
 // Environment variables will be accessed directly from globalThis when needed
 const MAX_STORAGE_SIZE = 1024 * 1024 * 1024; // 1GB limit
+const MAX_CHUNK_SIZE = 2000; // 单次上游请求的最大字符数
+// 长文本合成调度：默认并发数、并发上限（可用环境变量 MAX_CONCURRENCY 调整，
+// Workers 单个请求同时最多 6 个出站连接）、单段最大重试次数与退避基数/上限（毫秒）
+const DEFAULT_CONCURRENCY = 4;
+const MAX_CONCURRENCY = 6;
+const CHUNK_MAX_RETRIES = 3;
+const RETRY_BASE_DELAY = 500;
+const RETRY_MAX_DELAY = 10000;
+// 流式模式：预先合成后续 N 段（可用环境变量 STREAM_PREFETCH 调整默认值），
+// 首段切短到 FIRST_CHUNK_SIZE 字符以内以尽快输出第一段音频
+const DEFAULT_STREAM_PREFETCH = 2;
+const FIRST_CHUNK_SIZE = 150;
+// 流式模式下 on_chunk_error: "skip" 时，用这么长的静音（毫秒）代替重试后仍失败的段
+const SKIPPED_CHUNK_SILENCE_MS = 500;
 const OPENAI_VOICE_MAP = {
   shimmer: "zh-CN-XiaoxiaoNeural",
   alloy: "zh-CN-YunyangNeural",
@@ -20,8 +34,97 @@ const OPENAI_VOICE_MAP = {
   nova: "zh-CN-YunxiNeural",
   echo: "zh-CN-liaoning-XiaobeiNeural",
 };
+// OpenAI response_format -> Edge TTS 输出格式
+// wav/flac 先以原始 PCM 合成，拼接完成后再统一封装文件头，保证多段输出仍是单个合法文件
+const AUDIO_FORMATS = {
+  mp3: {
+    container: "mp3",
+    extension: "mp3",
+    contentType: "audio/mpeg",
+    outputFormat: "audio-24khz-48kbitrate-mono-mp3",
+    hdOutputFormat: "audio-48khz-192kbitrate-mono-mp3",
+  },
+  opus: {
+    container: "ogg",
+    extension: "opus",
+    contentType: "audio/ogg; codecs=opus",
+    outputFormat: "ogg-24khz-16bit-mono-opus",
+    hdOutputFormat: "ogg-48khz-16bit-mono-opus",
+  },
+  // Edge TTS 没有 AAC 输出，回退为高码率 MP3（Content-Type 如实返回 audio/mpeg）
+  aac: {
+    container: "mp3",
+    extension: "mp3",
+    contentType: "audio/mpeg",
+    outputFormat: "audio-24khz-96kbitrate-mono-mp3",
+    hdOutputFormat: "audio-48khz-192kbitrate-mono-mp3",
+  },
+  flac: {
+    container: "flac",
+    extension: "flac",
+    contentType: "audio/flac",
+    outputFormat: "raw-24khz-16bit-mono-pcm",
+    hdOutputFormat: "raw-48khz-16bit-mono-pcm",
+  },
+  wav: {
+    container: "wav",
+    extension: "wav",
+    contentType: "audio/wav",
+    outputFormat: "raw-24khz-16bit-mono-pcm",
+    hdOutputFormat: "raw-48khz-16bit-mono-pcm",
+  },
+  // OpenAI 约定 pcm 为无文件头的 24kHz 16bit 小端，客户端无法得知采样率，hd 也保持 24kHz
+  pcm: {
+    container: "pcm",
+    extension: "pcm",
+    contentType: "audio/pcm",
+    outputFormat: "raw-24khz-16bit-mono-pcm",
+    hdOutputFormat: "raw-24khz-16bit-mono-pcm",
+  },
+};
+const SUBTITLE_FORMATS = {
+  srt: "application/x-subrip; charset=utf-8",
+  vtt: "text/vtt; charset=utf-8",
+};
+const DEFAULT_CLEANING_OPTIONS = {
+  remove_markdown: true,
+  remove_emoji: true,
+  remove_urls: true,
+  remove_line_breaks: false,
+  remove_citation_numbers: true,
+  custom_keywords: "",
+  // "strip"：删除 Markdown 语法；"expressive"：转为停顿和语气（需开启 remove_markdown）
+  markdown_mode: "strip",
+  // 中文读法规范化（见 Chinese Text Normalization），默认关闭
+  normalize_dates: false,
+  normalize_times: false,
+  normalize_currency: false,
+  normalize_percent: false,
+  normalize_units: false,
+  normalize_versions: false,
+};
+// 小说对白分离：引号内的对白用另一音色/风格朗读，未设置的字段沿用旁白（请求级）参数
+const DEFAULT_DIALOGUE_OPTIONS = {
+  enabled: false,
+  voice: "",
+  style: "chat",
+  role: "",
+  styleDegree: null,
+  speed: null,
+  pitch: null,
+};
+// auto_language：按句识别语言，非当前音色语言的句子改用下表中的音色
+const DEFAULT_LANGUAGE_VOICES = {
+  zh: "zh-CN-XiaoxiaoNeural",
+  en: "en-US-JennyNeural",
+  ja: "ja-JP-NanamiNeural",
+  ko: "ko-KR-SunHiNeural",
+};
 let tokenInfo = { endpoint: null, token: null, expiredAt: null };
 const TOKEN_REFRESH_BEFORE_EXPIRY = 5 * 60;
+// 上游音色列表缓存刷新间隔（秒），可用环境变量 VOICE_LIST_REFRESH_INTERVAL 覆盖
+const VOICE_LIST_REFRESH_INTERVAL = 24 * 60 * 60;
+let voiceListCache = { voices: null, fetchedAt: 0 };
 
 // 基于域名生成唯一的用户ID
 function generateUserIdFromDomain(requestUrl) {
@@ -61,10 +164,33 @@ export default {
     if (env.API_KEY) {
       globalThis.API_KEY = env.API_KEY;
     }
+    if (env.READONLY_API_KEY) {
+      globalThis.READONLY_API_KEY = env.READONLY_API_KEY;
+    }
     if (env.TTS_HISTORY) {
       globalThis.TTS_HISTORY = env.TTS_HISTORY;
     }
-    return await handleRequest(request);
+    if (env.VOICE_LIST_REFRESH_INTERVAL) {
+      globalThis.VOICE_LIST_REFRESH_INTERVAL = env.VOICE_LIST_REFRESH_INTERVAL;
+    }
+    if (env.MAX_CONCURRENCY) {
+      globalThis.MAX_CONCURRENCY = env.MAX_CONCURRENCY;
+    }
+    if (env.STREAM_PREFETCH) {
+      globalThis.STREAM_PREFETCH = env.STREAM_PREFETCH;
+    }
+    for (const name of [
+      "RATE_LIMIT_PER_KEY",
+      "RATE_LIMIT_PER_SHARE",
+      "RATE_LIMIT_PER_IP",
+      "RATE_LIMIT_STORE",
+      "SHARE_SESSION_SECRET",
+      "SHARE_PASSWORD_ITERATIONS",
+      "ALLOW_PWD_QUERY",
+    ]) {
+      if (env[name]) globalThis[name] = env[name];
+    }
+    return await handleRequest(request, ctx);
   },
 };
 
@@ -72,7 +198,7 @@ export default {
 // Main Request Handler
 // =================================================================================
 
-async function handleRequest(request) {
+async function handleRequest(request, ctx) {
   const url = new URL(request.url);
 
   if (url.pathname === "/" || url.pathname === "/index.html") {
@@ -91,6 +217,20 @@ async function handleRequest(request) {
     return handleOptions(request);
   }
 
+  // 合成接口和分享密码校验按客户端 IP 限流（在验证 Key 之前，同时限制猜测 Key）；
+  // 旧的 ?pwd= 链接在 handleShareRequest 中校验密码前限流
+  const isSynthesisRequest =
+    request.method === "POST" && METERED_ROUTES.includes(url.pathname);
+  if (
+    isSynthesisRequest ||
+    (request.method === "POST" && /^\/share\/[^/]+\/auth$/.test(url.pathname))
+  ) {
+    const limited = await checkRateLimit("ip", clientIp(request));
+    if (limited) return limited;
+  }
+
+  // 使用 KV 中的 Key 时需要执行的配额等限制
+  let apiKey = null;
   if (url.pathname.startsWith("/v1/")) {
     const authHeader = request.headers.get("authorization");
 
@@ -106,6 +246,14 @@ async function handleRequest(request) {
 
     // 检查是否为分享UUID
     if (providedKey.startsWith("share_")) {
+      // 分享令牌只用于实时播放页的合成请求，不能访问批量任务等其他接口
+      if (request.method !== "POST" || url.pathname !== "/v1/audio/speech") {
+        return errorResponse(
+          "Share tokens can only be used for speech synthesis.",
+          403,
+          "invalid_api_key"
+        );
+      }
       const shareUUID = providedKey.replace("share_", "");
       console.log("Share UUID validation for:", shareUUID);
 
@@ -133,6 +281,8 @@ async function handleRequest(request) {
           role: requestBody.role,
           styleDegree: requestBody.styleDegree,
           cleaningOptions: requestBody.cleaning_options,
+          dialogueOptions: requestBody.dialogue_options,
+          autoLanguage: requestBody.auto_language,
         };
 
         const contentString = JSON.stringify(shareData);
@@ -155,6 +305,20 @@ async function handleRequest(request) {
           );
         }
 
+        // 分享已过期、次数已用完或已删除时不再合成；实时播放每次合成计一次播放
+        if (authData.id) {
+          const metadataStr = await globalThis.TTS_HISTORY.get(
+            `meta_${authData.id}`
+          );
+          if (!metadataStr) {
+            return errorResponse("Share not found.", 404, "not_found");
+          }
+          const metadata = JSON.parse(metadataStr);
+          const reason = shareUnavailableReason(metadata);
+          if (reason) return shareUnavailableResponse(reason);
+          await countSharePlay(authData.id, metadata);
+        }
+
         console.log("Share UUID validation passed");
       } catch (error) {
         console.log("Share UUID validation error:", error);
@@ -164,18 +328,63 @@ async function handleRequest(request) {
           "validation_error"
         );
       }
-    } else if (globalThis.API_KEY) {
-      // 常规API Key验证
-      if (providedKey !== globalThis.API_KEY) {
-        return errorResponse("Invalid API key.", 403, "invalid_api_key");
-      }
+    } else {
+      // 常规API Key验证，只读 Key 也可以调用合成接口
+      const auth = await checkApiKey(
+        request,
+        v1RouteRole(request, url.pathname)
+      );
+      if (auth.error) return auth.error;
+      apiKey = auth.apiKey;
+    }
+
+    // 分享链接按分享 UUID 限流，其余按 API Key 限流（环境变量 Key 按哈希区分）
+    if (isSynthesisRequest) {
+      const limited = providedKey.startsWith("share_")
+        ? await checkRateLimit("share", providedKey.replace("share_", ""))
+        : await checkRateLimit(
+            "key",
+            apiKey ? apiKey.id : (await sha256Hex(providedKey)).slice(0, 32)
+          );
+      if (limited) return limited;
+    }
+  }
+
+  if (url.pathname.startsWith("/api/")) {
+    const requiredRole = apiRouteRole(request, url.pathname);
+    if (requiredRole !== "public") {
+      const auth = await checkApiKey(request, requiredRole);
+      if (auth.error) return auth.error;
+      apiKey = auth.apiKey;
     }
   }
 
+  let meteredCharacters = 0;
+  if (apiKey) {
+    const limits = await enforceApiKeyLimits(request, url, apiKey, ctx);
+    if (limits.error) return limits.error;
+    meteredCharacters = limits.characters;
+  }
+
   try {
     if (url.pathname === "/v1/audio/speech")
-      return await handleSpeechRequest(request);
-    if (url.pathname === "/v1/models") return handleModelsRequest();
+      return await recordKeyUsage(
+        apiKey,
+        meteredCharacters,
+        await handleSpeechRequest(request),
+        ctx
+      );
+    if (url.pathname === "/v1/audio/voices")
+      return await handleVoicesRequest(request);
+    if (url.pathname.startsWith("/v1/audio/batches"))
+      return await recordKeyUsage(
+        apiKey,
+        meteredCharacters,
+        await handleBatchesRequest(request, ctx, apiKey),
+        ctx
+      );
+    if (url.pathname === "/v1/models")
+      return await handleModelsRequest(request);
     if (url.pathname === "/history") return await handleHistoryRequest(request);
     if (/^\/share\/[^/]+\/auth$/.test(url.pathname))
       return await handleShareAuthRequest(request);
@@ -191,8 +400,25 @@ async function handleRequest(request) {
       return await handleSetPasswordRequest(request);
     if (url.pathname === "/api/delete")
       return await handleDeleteRequest(request);
+    if (url.pathname === "/api/update-share")
+      return await handleUpdateShareRequest(request);
     if (url.pathname.startsWith("/api/audio/"))
       return await handleAudioRequest(request);
+    if (url.pathname.startsWith("/api/subtitles/"))
+      return await handleSubtitlesRequest(request);
+    if (url.pathname === "/api/clean") return await handleCleanRequest(request);
+    if (
+      url.pathname === "/api/lexicon" ||
+      url.pathname.startsWith("/api/lexicon/")
+    )
+      return await handleLexiconRequest(request);
+    if (
+      url.pathname === "/api/rule-sets" ||
+      url.pathname.startsWith("/api/rule-sets/")
+    )
+      return await handleRuleSetsRequest(request);
+    if (url.pathname === "/api/keys" || url.pathname.startsWith("/api/keys/"))
+      return await handleApiKeysRequest(request);
   } catch (err) {
     return errorResponse(err.message, 500, "internal_server_error");
   }
@@ -220,6 +446,10 @@ async function handleSaveRealtimeRequest(request) {
     if (!realtimeData.text) {
       return errorResponse("Missing required fields", 400, "invalid_request");
     }
+    const limits = parseShareLimits(realtimeData);
+    if (typeof limits === "string") {
+      return errorResponse(limits, 400, "invalid_request_error");
+    }
 
     // Generate unique ID
     const id = crypto.randomUUID();
@@ -236,6 +466,8 @@ async function handleSaveRealtimeRequest(request) {
       role: realtimeData.role,
       styleDegree: realtimeData.styleDegree,
       cleaningOptions: realtimeData.cleaningOptions,
+      dialogueOptions: realtimeData.dialogueOptions,
+      autoLanguage: realtimeData.autoLanguage,
     };
 
     // 生成内容哈希
@@ -258,29 +490,28 @@ async function handleSaveRealtimeRequest(request) {
       role: realtimeData.role,
       styleDegree: realtimeData.styleDegree,
       cleaningOptions: realtimeData.cleaningOptions,
+      dialogueOptions: realtimeData.dialogueOptions,
+      autoLanguage: realtimeData.autoLanguage,
       timestamp,
-      summary:
-        realtimeData.text.substring(0, 100) +
-        (realtimeData.text.length > 100 ? "..." : ""),
+      summary: makeSummary(realtimeData.text),
       type: "realtime", // 标记为实时播放类型
       size: 0, // 实时播放不存储音频文件
+      ...limits,
+      views: 0,
     };
 
     // Save metadata only (no audio file)
-    await globalThis.TTS_HISTORY.put(`meta_${id}`, JSON.stringify(metadata), {
-      metadata: { type: "realtime", timestamp },
-    });
+    await saveShareMetadata(id, metadata);
 
-    // 保存分享授权数据
+    // 保存分享授权数据，id 用于合成时检查分享是否过期
     await globalThis.TTS_HISTORY.put(
       `share_auth_${shareUUID}`,
       JSON.stringify({
+        id,
         contentHash: hashArray,
         shareData: shareData,
       }),
-      {
-        metadata: { type: "share_auth", timestamp },
-      }
+      shareKvOptions(metadata, "share_auth")
     );
 
     // Update history index
@@ -320,10 +551,19 @@ async function handleSaveRequest(request) {
     const pitch = parseFloat(formData.get("pitch"));
     const cleaningOptions = JSON.parse(formData.get("cleaningOptions") || "{}");
     const audioFile = formData.get("audioFile");
+    const subtitles = JSON.parse(formData.get("subtitles") || "null");
+    const limits = parseShareLimits({
+      expiresIn: formData.get("expiresIn") ?? undefined,
+      maxViews: formData.get("maxViews") ?? undefined,
+      autoDelete: formData.get("autoDelete") ?? undefined,
+    });
 
     if (!text || !audioFile) {
       return errorResponse("Missing required fields", 400, "invalid_request");
     }
+    if (typeof limits === "string") {
+      return errorResponse(limits, 400, "invalid_request_error");
+    }
 
     // Generate unique ID
     const id = crypto.randomUUID();
@@ -342,22 +582,34 @@ async function handleSaveRequest(request) {
       pitch,
       cleaningOptions,
       timestamp,
-      summary: text.substring(0, 100) + (text.length > 100 ? "..." : ""),
+      summary: makeSummary(text),
       size: audioData.length,
+      hasSubtitles: Array.isArray(subtitles),
+      ...limits,
+      views: 0,
     };
 
     // Check storage limit and clean if necessary
     await cleanupStorageIfNeeded(audioData.length);
 
     // Save audio data directly (no encoding needed)
-    await globalThis.TTS_HISTORY.put(`audio_${id}`, audioData, {
-      metadata: { type: "audio", timestamp },
-    });
+    await globalThis.TTS_HISTORY.put(
+      `audio_${id}`,
+      audioData,
+      shareKvOptions(metadata, "audio")
+    );
+
+    // Save subtitle cues generated alongside the audio
+    if (Array.isArray(subtitles)) {
+      await globalThis.TTS_HISTORY.put(
+        `subtitles_${id}`,
+        JSON.stringify(subtitles),
+        shareKvOptions(metadata, "subtitles")
+      );
+    }
 
     // Save metadata
-    await globalThis.TTS_HISTORY.put(`meta_${id}`, JSON.stringify(metadata), {
-      metadata: { type: "metadata", timestamp },
-    });
+    await saveShareMetadata(id, metadata);
 
     // Update history index
     await updateHistoryIndex(id, metadata);
@@ -386,19 +638,17 @@ async function handleHistoryApiRequest(request) {
     return errorResponse("KV storage not configured", 500, "storage_error");
   }
 
-  // Check API key for history access
-  const authHeader = request.headers.get("authorization");
-  if (!authHeader || !authHeader.startsWith("Bearer ")) {
-    return errorResponse(
-      "API key required to access history",
-      401,
-      "unauthorized"
-    );
-  }
-
   try {
     const historyData = await globalThis.TTS_HISTORY.get("history_index");
-    const history = historyData ? JSON.parse(historyData) : [];
+    // 已被 KV 自动删除的分享不再列出
+    const history = (historyData ? JSON.parse(historyData) : []).filter(
+      (item) =>
+        !(
+          item.autoDelete &&
+          item.expiresAt &&
+          item.expiresAt + SHARE_EXPIRED_GRACE * 1000 <= Date.now()
+        )
+    );
 
     // Sort by timestamp (newest first)
     history.sort((a, b) => b.timestamp - a.timestamp);
@@ -425,12 +675,6 @@ async function handleSetPasswordRequest(request) {
     return errorResponse("KV storage not configured", 500, "storage_error");
   }
 
-  // Check API key
-  const authHeader = request.headers.get("authorization");
-  if (!authHeader || !authHeader.startsWith("Bearer ")) {
-    return errorResponse("API key required", 401, "unauthorized");
-  }
-
   try {
     const { id, password } = await request.json();
 
@@ -446,13 +690,19 @@ async function handleSetPasswordRequest(request) {
 
     const metadata = JSON.parse(metadataStr);
 
-    // Update password (empty string removes password)
-    metadata.password = password || null;
+    if (password && !hasShareSessionSecret()) {
+      return errorResponse(
+        "Set SHARE_SESSION_SECRET or API_KEY to use password-protected shares.",
+        400,
+        "share_session_secret_missing"
+      );
+    }
+
+    // Update password (empty string removes password)，只保存 PBKDF2 哈希
+    metadata.password = password ? await hashSharePassword(password) : null;
 
     // Save updated metadata
-    await globalThis.TTS_HISTORY.put(`meta_${id}`, JSON.stringify(metadata), {
-      metadata: { type: "metadata", timestamp: metadata.timestamp },
-    });
+    await saveShareMetadata(id, metadata);
 
     return new Response(
       JSON.stringify({ success: true, hasPassword: !!password }),
@@ -479,12 +729,6 @@ async function handleDeleteRequest(request) {
     return errorResponse("KV storage not configured", 500, "storage_error");
   }
 
-  // Check API key
-  const authHeader = request.headers.get("authorization");
-  if (!authHeader || !authHeader.startsWith("Bearer ")) {
-    return errorResponse("API key required", 401, "unauthorized");
-  }
-
   try {
     const { id } = await request.json();
 
@@ -492,8 +736,9 @@ async function handleDeleteRequest(request) {
       return errorResponse("Missing item ID", 400, "invalid_request");
     }
 
-    // Delete audio and metadata
+    // Delete audio, subtitles and metadata
     await globalThis.TTS_HISTORY.delete(`audio_${id}`);
+    await globalThis.TTS_HISTORY.delete(`subtitles_${id}`);
     await globalThis.TTS_HISTORY.delete(`meta_${id}`);
 
     // Update history index
@@ -571,31 +816,61 @@ async function handleShareRequest(request) {
 
     const metadata = JSON.parse(metadataStr);
 
+    // 已过期或播放次数用完时显示失效页面，不再要求输入密码
+    const unavailableReason = shareUnavailableReason(metadata);
+    if (unavailableReason) {
+      return new Response(getShareExpiredPageHTML(unavailableReason), {
+        status: 410,
+        headers: { "Content-Type": "text/html; charset=utf-8" },
+      });
+    }
+
     // Check password protection
     if (metadata.password) {
-      const cookieName = `share_auth_${id}`;
-      const authorized = cookies[cookieName] === "1";
+      const authorized = await verifyShareSession(
+        id,
+        metadata,
+        cookies[`share_auth_${id}`]
+      );
       if (!authorized) {
-        // 兼容旧链接：?pwd= 正确则下发 Cookie 并重定向到干净链接
-        if (providedPassword && providedPassword === metadata.password) {
-          return new Response(null, {
-            status: 302,
-            headers: {
-              Location: `/share/${id}`,
-              "Set-Cookie": `${cookieName}=1; Max-Age=604800; Path=/share/${id}; HttpOnly; SameSite=Lax; Secure`,
-              ...makeCORSHeaders(),
-            },
-          });
+        // 兼容旧链接（已不推荐）：?pwd= 正确则下发 Cookie 并重定向到干净链接，错误同样计入锁定
+        if (providedPassword && isPwdQueryAllowed()) {
+          // 浏览器直接打开的链接，限流和锁定都显示密码页面和提示，而不是 JSON 错误
+          const ip = clientIp(request);
+          const limited = await checkRateLimit("ip", ip);
+          if (limited) {
+            return sharePasswordPageResponse(
+              id,
+              parseInt(limited.headers.get("Retry-After"), 10)
+            );
+          }
+          const lockedSeconds = await getShareLockout(id, ip);
+          if (lockedSeconds > 0) {
+            return sharePasswordPageResponse(id, lockedSeconds);
+          }
+          if (await checkSharePassword(id, metadata, providedPassword)) {
+            await clearSharePasswordFailures(id, ip);
+            console.warn(`Deprecated ?pwd= share login used for ${id}`);
+            return new Response(null, {
+              status: 302,
+              headers: {
+                Location: `/share/${id}`,
+                "Set-Cookie": await createShareSessionCookie(id, metadata),
+                Deprecation: "true",
+                ...makeCORSHeaders(),
+              },
+            });
+          }
+          const seconds = await recordSharePasswordFailure(id, ip);
+          return sharePasswordPageResponse(id, seconds, "密码错误，请重试");
         }
-        return new Response(getPasswordPageHTML(id), {
-          headers: { "Content-Type": "text/html; charset=utf-8" },
-        });
+        return sharePasswordPageResponse(id);
       }
     }
 
     // 检查是否为实时播放类型
     if (metadata.type === "realtime") {
-      // 实时播放类型，返回实时播放页面
+      // 实时播放类型，返回实时播放页面；播放次数在合成请求中计算
       return new Response(getRealtimeSharePageHTML(metadata, id), {
         headers: { "Content-Type": "text/html; charset=utf-8" },
       });
@@ -642,6 +917,9 @@ async function handleShareAuthRequest(request) {
         headers: { ...makeCORSHeaders() },
       });
     }
+    const ip = clientIp(request);
+    const lockedSeconds = await getShareLockout(id, ip);
+    if (lockedSeconds > 0) return shareLockoutResponse(lockedSeconds);
     const contentType = request.headers.get("Content-Type") || "";
     let password = "";
     if (contentType.includes("application/json")) {
@@ -651,14 +929,16 @@ async function handleShareAuthRequest(request) {
       const form = await request.formData();
       password = form.get("password") || "";
     }
-    if (password !== metadata.password) {
+    if (!password || !(await checkSharePassword(id, metadata, password))) {
+      const seconds = await recordSharePasswordFailure(id, ip);
+      if (seconds > 0) return shareLockoutResponse(seconds);
       return errorResponse("Invalid password", 401, "unauthorized");
     }
-    const cookieName = `share_auth_${id}`;
+    await clearSharePasswordFailures(id, ip);
     return new Response(null, {
       status: 204,
       headers: {
-        "Set-Cookie": `${cookieName}=1; Max-Age=604800; Path=/share/${id}; HttpOnly; SameSite=Lax; Secure`,
+        "Set-Cookie": await createShareSessionCookie(id, metadata),
         ...makeCORSHeaders(),
       },
     });
@@ -692,6 +972,18 @@ async function handleAudioRequest(request) {
   }
 
   try {
+    const metadataStr = await globalThis.TTS_HISTORY.get(`meta_${id}`);
+    const metadata = metadataStr ? JSON.parse(metadataStr) : {};
+    if (!(await canAccessShareContent(request, id, metadata))) {
+      return shareAuthRequiredResponse();
+    }
+    const limited = !!(metadata.expiresAt || metadata.maxViews);
+    const isOwner = limited && (await isOwnerRequest(request));
+    if (limited && !isOwner) {
+      const reason = shareUnavailableReason(metadata);
+      if (reason) return shareUnavailableResponse(reason);
+    }
+
     const audioData = await globalThis.TTS_HISTORY.get(
       `audio_${id}`,
       "arrayBuffer"
@@ -699,13 +991,18 @@ async function handleAudioRequest(request) {
     if (!audioData) {
       return errorResponse("Audio not found", 404, "not_found");
     }
+    if (limited && !isOwner) await countSharePlay(id, metadata);
 
     return new Response(audioData, {
       headers: {
         "Content-Type": "audio/mpeg",
         "Content-Length": audioData.byteLength.toString(),
         "Accept-Ranges": "bytes",
-        "Cache-Control": "public, max-age=31536000",
+        // 有期限或带密码的分享不能被缓存，否则到期、次数用完或会话失效后仍可播放
+        "Cache-Control":
+          limited || metadata.password
+            ? "private, no-store"
+            : "public, max-age=31536000",
         ...makeCORSHeaders(),
       },
     });
@@ -718,12 +1015,87 @@ async function handleAudioRequest(request) {
   }
 }
 
+// Handle subtitle download for stored items (GET /api/subtitles/:id?format=srt|vtt)
+async function handleSubtitlesRequest(request) {
+  const url = new URL(request.url);
+  const id = url.pathname.split("/")[3];
+  const format = url.searchParams.get("format") || "srt";
+
+  if (!id || !globalThis.TTS_HISTORY) {
+    return errorResponse("Invalid subtitles request", 404, "not_found");
+  }
+  if (!SUBTITLE_FORMATS[format]) {
+    return errorResponse(
+      "'format' must be one of: srt, vtt.",
+      400,
+      "invalid_request_error"
+    );
+  }
+
+  try {
+    const metadataStr = await globalThis.TTS_HISTORY.get(`meta_${id}`);
+    if (!metadataStr) {
+      return errorResponse("Item not found", 404, "not_found");
+    }
+    const metadata = JSON.parse(metadataStr);
+    if (!(await canAccessShareContent(request, id, metadata))) {
+      return shareAuthRequiredResponse();
+    }
+    const reason = shareUnavailableReason(metadata);
+    if (reason && !(await isOwnerRequest(request))) {
+      return shareUnavailableResponse(reason);
+    }
+
+    let cues;
+    const subtitlesData = await globalThis.TTS_HISTORY.get(`subtitles_${id}`);
+    if (subtitlesData) {
+      cues = JSON.parse(subtitlesData);
+    } else {
+      // 旧记录没有保存字幕：按已存储音频的总时长估算
+      const audioData = await globalThis.TTS_HISTORY.get(
+        `audio_${id}`,
+        "arrayBuffer"
+      );
+      if (!audioData) {
+        return errorResponse("Subtitles not available", 404, "not_found");
+      }
+      // 与合成时一样解析替换规则集；规则集已被删除时按不带规则清理
+      const cleaningOptions = await resolveCleaningOptions(
+        metadata.cleaningOptions
+      ).catch(() => ({
+        ...DEFAULT_CLEANING_OPTIONS,
+        ...metadata.cleaningOptions,
+        rules: [],
+      }));
+      const text = stripInlineMarkup(cleanText(metadata.text, cleaningOptions));
+      cues = buildSubtitleCues(
+        [text],
+        [getMp3Duration(new Uint8Array(audioData))]
+      );
+    }
+
+    return new Response(renderSubtitles(cues, format), {
+      headers: {
+        "Content-Type": SUBTITLE_FORMATS[format],
+        "Content-Disposition": `inline; filename="${id}.${format}"`,
+        ...makeCORSHeaders(),
+      },
+    });
+  } catch (error) {
+    return errorResponse(
+      `Failed to serve subtitles: ${error.message}`,
+      500,
+      "subtitles_error"
+    );
+  }
+}
+
 function handleOptions(request) {
   return new Response(null, {
     status: 204,
     headers: {
       ...makeCORSHeaders(),
-      "Access-Control-Allow-Methods": "GET,HEAD,POST,OPTIONS",
+      "Access-Control-Allow-Methods": "GET,HEAD,POST,PUT,PATCH,DELETE,OPTIONS",
       "Access-Control-Allow-Headers":
         request.headers.get("Access-Control-Request-Headers") ||
         "Authorization, Content-Type",
@@ -753,64 +1125,282 @@ async function handleSpeechRequest(request) {
     role = "",
     styleDegree = 1.0,
     stream = false,
+    response_format = "mp3",
+    input_type = "auto",
+    subtitle_format = null,
+    concurrency = DEFAULT_CONCURRENCY,
+    max_retries = CHUNK_MAX_RETRIES,
+    prefetch = null,
+    stream_format = "audio",
+    on_chunk_error = "abort",
+    speakers = {},
+    turn_pause = DEFAULT_TURN_PAUSE,
     cleaning_options = {},
+    dialogue_options = {},
+    auto_language = false,
   } = requestBody;
 
-  // OpenAI 兼容性处理
-  let finalVoice;
-  if (model === "tts-1" || model === "tts-1-hd") {
-    // 标准 OpenAI 格式：使用 voice 参数
-    finalVoice = OPENAI_VOICE_MAP[voice] || voice || "zh-CN-XiaoxiaoNeural";
-  } else if (model.startsWith("tts-1-")) {
-    // 兼容旧格式：从 model 中提取音色
-    finalVoice =
-      OPENAI_VOICE_MAP[model.replace("tts-1-", "")] || "zh-CN-XiaoxiaoNeural";
+  if (stream_format !== "audio" && stream_format !== "sse")
+    return errorResponse(
+      "'stream_format' must be one of: audio, sse.",
+      400,
+      "invalid_request_error"
+    );
+  if (on_chunk_error !== "abort" && on_chunk_error !== "skip")
+    return errorResponse(
+      "'on_chunk_error' must be one of: abort, skip.",
+      400,
+      "invalid_request_error"
+    );
+  // stream_format: "sse" 隐含流式输出
+  const streaming = stream || stream_format === "sse";
+
+  if (subtitle_format && !SUBTITLE_FORMATS[subtitle_format])
+    return errorResponse(
+      "'subtitle_format' must be one of: srt, vtt.",
+      400,
+      "invalid_request_error"
+    );
+  if (subtitle_format && streaming)
+    return errorResponse(
+      "'subtitle_format' is not supported in streaming mode.",
+      400,
+      "invalid_request_error"
+    );
+
+  if (!["auto", "text", "ssml", "script"].includes(input_type))
+    return errorResponse(
+      "'input_type' must be one of: auto, text, ssml, script.",
+      400,
+      "invalid_request_error"
+    );
+
+  const audioFormat = resolveAudioFormat(response_format, model);
+  if (!audioFormat)
+    return errorResponse(
+      `Unsupported response_format '${response_format}'. Supported values: ${Object.keys(
+        AUDIO_FORMATS
+      ).join(", ")}.`,
+      400,
+      "invalid_request_error"
+    );
+
+  const languageVoices = resolveLanguageVoices(auto_language);
+  if (languageVoices === undefined)
+    return errorResponse(
+      "'auto_language' must be a boolean or an object mapping zh/en/ja/ko to voice names.",
+      400,
+      "invalid_request_error"
+    );
+
+  const finalVoice = resolveVoiceName(model, voice);
+  let finalCleaningOptions;
+  try {
+    finalCleaningOptions = await resolveCleaningOptions(cleaning_options);
+  } catch (error) {
+    return errorResponse(error.message, 400, "invalid_request_error");
+  }
+  // 对白脚本：input_type: "script"、input 为数组，或提供了 speakers 且含 [角色] 行
+  const isScript =
+    input_type === "script" ||
+    Array.isArray(input) ||
+    (input_type === "auto" &&
+      Object.keys(speakers || {}).length > 0 &&
+      looksLikeScript(input));
+  // SSML 输入：显式指定 input_type: "ssml"，或自动识别 <speak> 根元素
+  const isSsml =
+    !isScript &&
+    (input_type === "ssml" || (input_type === "auto" && looksLikeSsml(input)));
+  const finalDialogueOptions = {
+    ...DEFAULT_DIALOGUE_OPTIONS,
+    ...dialogue_options,
+  };
+  // 普通文本开启对白分离时，拆成旁白/对白交替的脚本
+  const isDialogue = !isScript && !isSsml && finalDialogueOptions.enabled;
+  // 自动识别语言时普通文本也按单句脚本处理，以便在同一个 SSML 中切换音色
+  const isMultilingual = !isScript && !isSsml && languageVoices !== null;
+
+  let chunks;
+  let chunkTexts;
+  let synthesize;
+  if (isSsml || isScript || isDialogue || isMultilingual) {
+    // SSML 原样合成，不做文本清理，也不套用 speed/pitch/style 参数；
+    // 脚本先按角色生成 SSML，再走同样的切分流程
+    try {
+      const defaults = {
+        voice: finalVoice,
+        speed,
+        pitch,
+        style,
+        role,
+        styleDegree,
+      };
+      let documents = [input];
+      if (isScript) {
+        documents = buildScriptSsml(
+          input,
+          speakers || {},
+          defaults,
+          clampNumber(turn_pause, 0, 5000, DEFAULT_TURN_PAUSE),
+          finalCleaningOptions,
+          await getLexicon(),
+          languageVoices
+        );
+      } else if (!isSsml) {
+        documents = buildScriptSsml(
+          isDialogue
+            ? splitNarrationDialogue(input, finalDialogueOptions)
+            : [{ speaker: null, text: String(input) }],
+          {},
+          defaults,
+          0,
+          finalCleaningOptions,
+          await getLexicon(),
+          languageVoices
+        );
+      }
+      chunks = documents.flatMap((document) =>
+        splitSsml(
+          normalizeSsmlRoot(parseSsml(document), finalVoice),
+          MAX_CHUNK_SIZE
+        )
+      );
+      chunkTexts = chunks.map((chunk) => ssmlTextContent(parseSsml(chunk)));
+    } catch (error) {
+      return errorResponse(
+        error.message,
+        400,
+        isScript ? "invalid_script" : "invalid_ssml"
+      );
+    }
+    synthesize = (ssml) =>
+      synthesizeSsml(ssml, audioFormat.outputFormat, request);
   } else {
-    // 直接使用指定的音色
-    finalVoice = voice || model || "zh-CN-XiaoxiaoNeural";
-  }
-  const finalCleaningOptions = {
-    remove_markdown: true,
-    remove_emoji: true,
-    remove_urls: true,
-    remove_line_breaks: false,
-    remove_citation_numbers: true,
-    custom_keywords: "",
-    ...cleaning_options,
+    const cleanedInput = cleanText(input, finalCleaningOptions);
+    const rate = ((speed - 1) * 100).toFixed(0);
+    const numPitch = ((pitch - 1) * 100).toFixed(0);
+    chunks = balancePlainMarkup(splitTextForSynthesis(cleanedInput, streaming));
+    chunkTexts = chunks.map(stripInlineMarkup);
+    synthesize = (chunk) =>
+      getAudioChunk(
+        chunk,
+        finalVoice,
+        rate,
+        numPitch,
+        style,
+        role,
+        styleDegree,
+        audioFormat.outputFormat,
+        request
+      );
+  }
+
+  const maxConcurrency =
+    parseInt(globalThis.MAX_CONCURRENCY, 10) || MAX_CONCURRENCY;
+  const schedule = {
+    concurrency: clampNumber(
+      concurrency,
+      1,
+      maxConcurrency,
+      DEFAULT_CONCURRENCY
+    ),
+    maxRetries: clampNumber(max_retries, 0, 5, CHUNK_MAX_RETRIES),
   };
-  const cleanedInput = cleanText(input, finalCleaningOptions);
-  const rate = ((speed - 1) * 100).toFixed(0);
-  const numPitch = ((pitch - 1) * 100).toFixed(0);
-  const outputFormat = "audio-24khz-48kbitrate-mono-mp3";
 
-  if (stream) {
-    return await getVoiceStream(
-      cleanedInput,
-      finalVoice,
-      rate,
-      numPitch,
-      style,
-      role,
-      styleDegree,
-      outputFormat,
-      request
+  if (streaming) {
+    // 预取段数加上正在输出的一段不超过并发上限
+    const defaultPrefetch = clampNumber(
+      globalThis.STREAM_PREFETCH,
+      0,
+      maxConcurrency - 1,
+      DEFAULT_STREAM_PREFETCH
     );
+    return await getVoiceStream(chunks, synthesize, audioFormat, {
+      ...schedule,
+      prefetch: clampNumber(prefetch, 0, maxConcurrency - 1, defaultPrefetch),
+      onChunkError: on_chunk_error,
+      sse: stream_format === "sse",
+      texts: chunkTexts,
+    });
   } else {
-    return await getVoice(
-      cleanedInput,
-      finalVoice,
-      rate,
-      numPitch,
-      style,
-      role,
-      styleDegree,
-      outputFormat,
-      request
+    return await getVoice(chunks, synthesize, audioFormat, {
+      ...schedule,
+      subtitles: subtitle_format
+        ? { format: subtitle_format, texts: chunkTexts }
+        : null,
+    });
+  }
+}
+
+// Handle cleaning preview (POST /api/clean)：返回清理后的文本、合成时使用的分段位置，
+// 以及字数和时长估算。只对应普通文本的处理流程，不处理 SSML 和对白脚本
+async function handleCleanRequest(request) {
+  if (request.method !== "POST") {
+    return errorResponse("Method Not Allowed", 405, "method_not_allowed");
+  }
+  const {
+    input,
+    cleaning_options = {},
+    speed = 1.0,
+    stream = false,
+  } = await request.json();
+  if (typeof input !== "string") {
+    return errorResponse(
+      "'input' is required and must be a string.",
+      400,
+      "invalid_request_error"
+    );
+  }
+  let cleaningOptions;
+  try {
+    cleaningOptions = await resolveCleaningOptions(cleaning_options);
+  } catch (error) {
+    return errorResponse(error.message, 400, "invalid_request_error");
+  }
+
+  const cleanedText = cleanText(input, cleaningOptions);
+  const chunks = [];
+  let position = 0;
+  for (const text of splitTextForSynthesis(cleanedText, stream)) {
+    const start = cleanedText.indexOf(text, position);
+    position = start + text.length;
+    chunks.push({
+      index: chunks.length,
+      start,
+      end: position,
+      characters: text.length,
+      estimated_duration: estimateSpeechDuration(text, speed),
+    });
+  }
+  return jsonResponse({
+    cleaned_text: cleanedText,
+    original_characters: input.length,
+    cleaned_characters: cleanedText.length,
+    chunks,
+    estimated_duration:
+      Math.round(
+        chunks.reduce((sum, chunk) => sum + chunk.estimated_duration, 0) * 10
+      ) / 10,
+  });
+}
+
+// OpenAI 兼容性处理
+function resolveVoiceName(model, voice) {
+  if (model === "tts-1" || model === "tts-1-hd") {
+    // 标准 OpenAI 格式：使用 voice 参数
+    return OPENAI_VOICE_MAP[voice] || voice || "zh-CN-XiaoxiaoNeural";
+  } else if (model.startsWith("tts-1-")) {
+    // 兼容旧格式：从 model 中提取音色
+    return (
+      OPENAI_VOICE_MAP[model.replace("tts-1-", "")] || "zh-CN-XiaoxiaoNeural"
     );
   }
+  // 直接使用指定的音色
+  return voice || model || "zh-CN-XiaoxiaoNeural";
 }
 
-function handleModelsRequest() {
+async function handleModelsRequest(request) {
+  const url = new URL(request.url);
   const models = [
     { id: "tts-1", object: "model", created: Date.now(), owned_by: "openai" },
     {
@@ -826,101 +1416,331 @@ function handleModelsRequest() {
       owned_by: "openai",
     })),
   ];
+
+  // ?include_voices=true 时把完整音色目录也作为模型返回
+  const includeVoices = url.searchParams.get("include_voices");
+  if (includeVoices === "true" || includeVoices === "1") {
+    try {
+      const { voices } = await getVoiceList(request);
+      models.push(
+        ...voices.map((v) => ({
+          id: v.id,
+          object: "model",
+          created: Date.now(),
+          owned_by: "microsoft",
+        }))
+      );
+    } catch (error) {
+      return errorResponse(
+        `Failed to load voice list: ${error.message}`,
+        502,
+        "upstream_error"
+      );
+    }
+  }
+
   return new Response(JSON.stringify({ object: "list", data: models }), {
     headers: { "Content-Type": "application/json", ...makeCORSHeaders() },
   });
 }
 
-// =================================================================================
-// Core TTS Logic (Android App Simulation)
-// =================================================================================
+// Handle voice catalog (GET /v1/audio/voices?locale=zh-CN&gender=Female&style=cheerful)
+async function handleVoicesRequest(request) {
+  if (request.method !== "GET") {
+    return errorResponse("Method Not Allowed", 405, "method_not_allowed");
+  }
 
-async function getVoice(
-  text,
-  voiceName,
-  rate,
-  pitch,
-  style,
-  role,
-  styleDegree,
-  outputFormat,
-  request
-) {
-  const maxChunkSize = 2000;
-  const chunks = [];
-  for (let i = 0; i < text.length; i += maxChunkSize) {
-    chunks.push(text.slice(i, i + maxChunkSize));
+  const params = new URL(request.url).searchParams;
+  const locale = (params.get("locale") || "").toLowerCase();
+  const gender = (params.get("gender") || "").toLowerCase();
+  const style = params.get("style") || "";
+
+  try {
+    const { voices, fetchedAt } = await getVoiceList(
+      request,
+      params.get("refresh") === "true"
+    );
+    const data = voices.filter(
+      (v) =>
+        (!locale || v.locale.toLowerCase().startsWith(locale)) &&
+        (!gender || v.gender.toLowerCase() === gender) &&
+        (!style || v.styles.includes(style))
+    );
+    return new Response(
+      JSON.stringify({
+        object: "list",
+        data,
+        updated_at: Math.floor(fetchedAt / 1000),
+      }),
+      {
+        headers: { "Content-Type": "application/json", ...makeCORSHeaders() },
+      }
+    );
+  } catch (error) {
+    return errorResponse(
+      `Failed to load voice list: ${error.message}`,
+      502,
+      "upstream_error"
+    );
   }
-  const audioChunks = await Promise.all(
-    chunks.map((chunk) =>
-      getAudioChunk(
-        chunk,
-        voiceName,
-        rate,
-        pitch,
-        style,
-        role,
-        styleDegree,
-        outputFormat,
-        request
-      )
-    )
-  );
-  const concatenatedAudio = new Blob(audioChunks, { type: "audio/mpeg" });
-  return new Response(concatenatedAudio, {
-    headers: { "Content-Type": "audio/mpeg", ...makeCORSHeaders() },
-  });
 }
 
-async function getVoiceStream(
-  text,
-  voiceName,
-  rate,
-  pitch,
-  style,
-  role,
-  styleDegree,
-  outputFormat,
-  request
-) {
-  const maxChunkSize = 2000;
-  const chunks = [];
-  for (let i = 0; i < text.length; i += maxChunkSize) {
-    chunks.push(text.slice(i, i + maxChunkSize));
+// =================================================================================
+// Core TTS Logic (Android App Simulation)
+// =================================================================================
+
+// chunks 为已切分好的文本或 SSML 文档，synthesize(chunk) 负责合成单段并返回音频 Blob。
+// options: { concurrency, maxRetries, subtitles }，传入 subtitles ({ format, texts })
+// 时返回 JSON：base64 音频 + 字幕
+async function getVoice(chunks, synthesize, audioFormat, options) {
+  const { subtitles } = options;
+  const { results: audioChunks, stats } = await synthesizeChunks(
+    chunks,
+    async (chunk) =>
+      new Uint8Array(await (await synthesize(chunk)).arrayBuffer()),
+    options
+  );
+  const audio = assembleAudio(audioChunks, audioFormat);
+  if (!subtitles) {
+    return new Response(audio, {
+      headers: {
+        "Content-Type": audioFormat.contentType,
+        ...makeSynthesisHeaders(stats),
+        ...makeCORSHeaders(),
+      },
+    });
   }
 
+  const durations = audioChunks.map((c) => getAudioDuration(c, audioFormat));
+  const cues = buildSubtitleCues(subtitles.texts, durations);
+  return new Response(
+    JSON.stringify({
+      audio: await bytesToBase64(audio),
+      content_type: audioFormat.contentType,
+      duration: durations.reduce((sum, d) => sum + d, 0),
+      subtitle_format: subtitles.format,
+      subtitles: renderSubtitles(cues, subtitles.format),
+      cues,
+    }),
+    {
+      headers: {
+        "Content-Type": "application/json",
+        ...makeSynthesisHeaders(stats),
+        ...makeCORSHeaders(),
+      },
+    }
+  );
+}
+
+// 流式输出。options.onChunkError 为 "skip" 时，重试后仍失败的段以静音代替并继续；
+// 为 "abort" 时中断连接，客户端会收到读取错误而不是一段"看似完整"的截断音频。
+// options.sse 为 true 时以 SSE 事件输出：每段一个 speech.audio.delta（附带进度），
+// 最后的 speech.audio.done 事件报告音频是否完整以及跳过了哪些段
+async function getVoiceStream(chunks, synthesize, audioFormat, options) {
   const { readable, writable } = new TransformStream();
   const writer = writable.getWriter();
+  // 流式输出时总长度未知，文件头使用"长度未知"的写法
+  const assembler = createAudioAssembler(audioFormat);
+  const encoder = new TextEncoder();
+  const sendEvent = (event) =>
+    writer.write(encoder.encode(`data: ${JSON.stringify(event)}\n\n`));
+  const skipped = [];
+  // 进度按各段原文字符数统计（SSML 为其中的文本内容）
+  const charCounts = options.texts.map((text) => text.length);
+  const totalCharacters = charCounts.reduce((sum, n) => sum + n, 0);
+  let charactersDone = 0;
+
+  // 输出第 i 段的同时预先合成后面 options.prefetch 段，写出顺序不变
+  const pending = [];
+  const startChunk = (index) => {
+    if (index >= chunks.length || pending[index]) return;
+    pending[index] = synthesizeWithRetry(
+      chunks[index],
+      async (chunk) =>
+        new Uint8Array(await (await synthesize(chunk)).arrayBuffer()),
+      options.maxRetries
+    ).catch((error) => {
+      if (options.onChunkError !== "skip") throw error;
+      console.error(`Chunk ${index} skipped after retries:`, error.message);
+      skipped.push({ index, message: error.message });
+      return createSilence(audioFormat, SKIPPED_CHUNK_SILENCE_MS);
+    });
+    // 错误在轮到该段输出时再处理，避免提前触发 unhandled rejection
+    pending[index].catch(() => {});
+  };
 
   (async () => {
     try {
-      for (const chunk of chunks) {
-        const audioBlob = await getAudioChunk(
-          chunk,
-          voiceName,
-          rate,
-          pitch,
-          style,
-          role,
-          styleDegree,
-          outputFormat,
-          request
-        );
-        const arrayBuffer = await audioBlob.arrayBuffer();
-        await writer.write(new Uint8Array(arrayBuffer));
+      for (let i = 0; i < chunks.length; i++) {
+        for (let j = i; j <= i + options.prefetch; j++) startChunk(j);
+        const bytes = await pending[i];
+        pending[i] = null;
+        const output = assembler.push(bytes, i === chunks.length - 1);
+        if (!options.sse) {
+          await writer.write(output);
+          continue;
+        }
+        const skip = skipped.find((item) => item.index === i);
+        if (skip) {
+          await sendEvent({
+            type: "speech.audio.chunk_error",
+            chunk_index: i,
+            message: skip.message,
+            action: "skipped",
+          });
+        }
+        charactersDone += charCounts[i];
+        await sendEvent({
+          type: "speech.audio.delta",
+          audio: await bytesToBase64(output),
+          chunk_index: i,
+          total_chunks: chunks.length,
+          characters_done: charactersDone,
+          total_characters: totalCharacters,
+        });
+      }
+      if (options.sse) {
+        await sendEvent({
+          type: "speech.audio.done",
+          total_chunks: chunks.length,
+          total_characters: totalCharacters,
+          complete: skipped.length === 0,
+          skipped_chunks: skipped
+            .map((item) => item.index)
+            .sort((a, b) => a - b),
+        });
       }
-    } catch (error) {
-      await writer.abort(error);
-    } finally {
       await writer.close();
+    } catch (error) {
+      console.error("Stream synthesis failed:", error);
+      if (!options.sse) {
+        await writer.abort(error);
+        return;
+      }
+      try {
+        await sendEvent({
+          type: "error",
+          error: { message: error.message, code: "synthesis_failed" },
+        });
+        await writer.close();
+      } catch (writeError) {
+        // 客户端已断开
+      }
     }
   })();
 
   return new Response(readable, {
-    headers: { "Content-Type": "audio/mpeg", ...makeCORSHeaders() },
+    headers: {
+      "Content-Type": options.sse
+        ? "text/event-stream; charset=utf-8"
+        : audioFormat.contentType,
+      "Cache-Control": "no-cache",
+      "X-TTS-Chunks": String(chunks.length),
+      "X-TTS-Prefetch": String(options.prefetch),
+      "Access-Control-Expose-Headers": "X-TTS-Chunks, X-TTS-Prefetch",
+      ...makeCORSHeaders(),
+    },
   });
 }
 
+// 合成调度：最多 concurrency 段同时请求上游，单段失败按 synthesizeWithRetry 重试，
+// 结果按 chunks 原顺序返回。任一段最终失败时不再启动新的段并抛出错误
+async function synthesizeChunks(chunks, synthesize, options) {
+  const stats = {
+    chunks: chunks.length,
+    concurrency: Math.min(options.concurrency, chunks.length),
+    retries: 0,
+    startedAt: Date.now(),
+    slowestChunk: 0,
+    elapsed: 0,
+  };
+  const results = new Array(chunks.length);
+  let nextIndex = 0;
+  let failed = false;
+
+  const runWorker = async () => {
+    while (!failed && nextIndex < chunks.length) {
+      const index = nextIndex++;
+      const chunkStart = Date.now();
+      try {
+        results[index] = await synthesizeWithRetry(
+          chunks[index],
+          synthesize,
+          options.maxRetries,
+          stats
+        );
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+      stats.slowestChunk = Math.max(
+        stats.slowestChunk,
+        Date.now() - chunkStart
+      );
+    }
+  };
+
+  await Promise.all(Array.from({ length: stats.concurrency }, runWorker));
+  stats.elapsed = Date.now() - stats.startedAt;
+  return { results, stats };
+}
+
+// 对 429/5xx/网络错误做指数退避重试（带随机抖动），429 时遵循 Retry-After，
+// 等待时间不超过 RETRY_MAX_DELAY，避免上游给出过长的 Retry-After 时请求一直挂起
+async function synthesizeWithRetry(
+  chunk,
+  synthesize,
+  maxRetries,
+  stats = null
+) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await synthesize(chunk);
+    } catch (error) {
+      if (attempt >= maxRetries || !isRetryableError(error)) throw error;
+      if (stats) stats.retries++;
+      const backoff =
+        RETRY_BASE_DELAY * 2 ** attempt + Math.random() * RETRY_BASE_DELAY;
+      const delay = Math.min(
+        Math.max(backoff, (error.retryAfter || 0) * 1000),
+        RETRY_MAX_DELAY
+      );
+      console.warn(
+        `Chunk synthesis failed (attempt ${
+          attempt + 1
+        }), retrying in ${Math.round(delay)}ms:`,
+        error.message
+      );
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+}
+
+function isRetryableError(error) {
+  if (error.status) {
+    return (
+      error.status === 401 ||
+      error.status === 408 ||
+      error.status === 429 ||
+      error.status >= 500
+    );
+  }
+  // fetch 自身抛出的网络错误
+  return error.name === "TypeError";
+}
+
+function makeSynthesisHeaders(stats) {
+  return {
+    "X-TTS-Chunks": String(stats.chunks),
+    "X-TTS-Concurrency": String(stats.concurrency),
+    "X-TTS-Retries": String(stats.retries),
+    "X-TTS-Synthesis-Time": String(stats.elapsed),
+    "Server-Timing": `synthesis;dur=${stats.elapsed}, slowest-chunk;dur=${stats.slowestChunk}`,
+    "Access-Control-Expose-Headers":
+      "X-TTS-Chunks, X-TTS-Concurrency, X-TTS-Retries, X-TTS-Synthesis-Time, Server-Timing",
+  };
+}
+
 async function getAudioChunk(
   text,
   voiceName,
@@ -932,30 +1752,59 @@ async function getAudioChunk(
   outputFormat,
   request
 ) {
-  const endpoint = await getEndpoint(request);
-  const url = `https://${endpoint.r}.tts.speech.microsoft.com/cognitiveservices/v1`;
-
-  // 构建高级SSML
-  const escapedText = text
-    .replace(/&/g, "&amp;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;");
+  const ssmlContent = buildExpressiveSsml(
+    text,
+    rate,
+    pitch,
+    style,
+    role,
+    styleDegree,
+    lexiconForVoice(await getLexicon(), voiceName)
+  );
+  const ssml = `<speak xmlns="http://www.w3.org/2001/10/synthesis" xmlns:mstts="http://www.w3.org/2001/mstts" version="1.0" xml:lang="${
+    voiceLocale(voiceName) || "zh-CN"
+  }"><voice name="${voiceName}">${ssmlContent}</voice></speak>`;
 
-  let ssmlContent = `<prosody rate="${rate}%" pitch="${pitch}%">${escapedText}</prosody>`;
+  return synthesizeSsml(ssml, outputFormat, request);
+}
 
-  // 添加语音风格和强度
-  if (style && style !== "general") {
-    const styleAttributes =
-      styleDegree !== 1.0 ? ` styledegree="${styleDegree}"` : "";
-    ssmlContent = `<mstts:express-as style="${style}"${styleAttributes}>${ssmlContent}</mstts:express-as>`;
-  }
+// 构建高级SSML：语速/音调、语音风格和强度、角色扮演
+function buildExpressiveSsml(
+  text,
+  rate,
+  pitch,
+  style,
+  role,
+  styleDegree,
+  lexicon = []
+) {
+  // [whisper] 等轻量标记会切出使用其他语音风格的片段
+  return renderPlainMarkup(text, lexicon)
+    .map((segment) => {
+      let ssmlContent = `<prosody rate="${rate}%" pitch="${pitch}%">${segment.content}</prosody>`;
+
+      // 添加语音风格和强度
+      const segmentStyle = segment.style || style;
+      if (segmentStyle && segmentStyle !== "general") {
+        const styleAttributes =
+          !segment.style && styleDegree !== 1.0
+            ? ` styledegree="${styleDegree}"`
+            : "";
+        ssmlContent = `<mstts:express-as style="${segmentStyle}"${styleAttributes}>${ssmlContent}</mstts:express-as>`;
+      }
 
-  // 添加角色扮演
-  if (role) {
-    ssmlContent = `<mstts:express-as role="${role}">${ssmlContent}</mstts:express-as>`;
-  }
+      // 添加角色扮演
+      if (role) {
+        ssmlContent = `<mstts:express-as role="${role}">${ssmlContent}</mstts:express-as>`;
+      }
+      return ssmlContent;
+    })
+    .join("");
+}
 
-  const ssml = `<speak xmlns="http://www.w3.org/2001/10/synthesis" xmlns:mstts="http://www.w3.org/2001/mstts" version="1.0" xml:lang="zh-CN"><voice name="${voiceName}">${ssmlContent}</voice></speak>`;
+async function synthesizeSsml(ssml, outputFormat, request) {
+  const endpoint = await getEndpoint(request);
+  const url = `https://${endpoint.r}.tts.speech.microsoft.com/cognitiveservices/v1`;
 
   const response = await fetch(url, {
     method: "POST",
@@ -970,7 +1819,16 @@ async function getAudioChunk(
 
   if (!response.ok) {
     const errorText = await response.text();
-    throw new Error(`Edge TTS API error: ${response.status} ${errorText}`);
+    // token 被上游拒绝时清空缓存，重试时会重新获取
+    if (response.status === 401) {
+      tokenInfo = { endpoint: null, token: null, expiredAt: null };
+    }
+    const error = new Error(
+      `Edge TTS API error: ${response.status} ${errorText}`
+    );
+    error.status = response.status;
+    error.retryAfter = parseInt(response.headers.get("Retry-After"), 10) || 0;
+    throw error;
   }
   return response.blob();
 }
@@ -1040,6 +1898,96 @@ async function getEndpoint(request) {
   );
 }
 
+// 获取神经网络音色目录：内存缓存 -> KV 缓存 -> 上游，上游失败时回退到过期缓存
+async function getVoiceList(request, forceRefresh = false) {
+  const refreshInterval =
+    (parseInt(globalThis.VOICE_LIST_REFRESH_INTERVAL, 10) ||
+      VOICE_LIST_REFRESH_INTERVAL) * 1000;
+  const now = Date.now();
+  if (
+    !forceRefresh &&
+    voiceListCache.voices &&
+    now - voiceListCache.fetchedAt < refreshInterval
+  ) {
+    return voiceListCache;
+  }
+
+  let storedCache = null;
+  if (globalThis.TTS_HISTORY) {
+    const storedData = await globalThis.TTS_HISTORY.get("voice_list");
+    storedCache = storedData ? JSON.parse(storedData) : null;
+    if (
+      !forceRefresh &&
+      storedCache &&
+      now - storedCache.fetchedAt < refreshInterval
+    ) {
+      voiceListCache = storedCache;
+      return voiceListCache;
+    }
+  }
+
+  try {
+    const voices = await fetchVoiceList(request);
+    voiceListCache = { voices, fetchedAt: now };
+    if (globalThis.TTS_HISTORY) {
+      await globalThis.TTS_HISTORY.put(
+        "voice_list",
+        JSON.stringify(voiceListCache),
+        { metadata: { type: "voice_list", timestamp: now } }
+      );
+    }
+    return voiceListCache;
+  } catch (error) {
+    const stale = voiceListCache.voices ? voiceListCache : storedCache;
+    if (stale) {
+      console.warn(
+        "Using stale voice list due to fetch failure:",
+        error.message
+      );
+      voiceListCache = stale;
+      return stale;
+    }
+    throw error;
+  }
+}
+
+async function fetchVoiceList(request) {
+  const endpoint = await getEndpoint(request);
+  const response = await fetch(
+    `https://${endpoint.r}.tts.speech.microsoft.com/cognitiveservices/voices/list`,
+    {
+      headers: {
+        Authorization: endpoint.t,
+        "User-Agent": "okhttp/4.5.0",
+      },
+    }
+  );
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(
+      `Edge TTS voice list error: ${response.status} ${errorText}`
+    );
+  }
+  const list = await response.json();
+  return list
+    .filter((v) => v.VoiceType === "Neural" || /Neural$/.test(v.ShortName))
+    .map((v) => ({
+      id: v.ShortName,
+      name: v.DisplayName,
+      local_name: v.LocalName,
+      locale: v.Locale,
+      locale_name: v.LocaleName,
+      secondary_locales: v.SecondaryLocaleList || [],
+      gender: v.Gender,
+      styles: v.StyleList || [],
+      roles: v.RolePlayList || [],
+      sample_rate_hertz: parseInt(v.SampleRateHertz, 10) || null,
+      words_per_minute: parseInt(v.WordsPerMinute, 10) || null,
+      status: v.Status,
+    }))
+    .sort((a, b) => a.id.localeCompare(b.id));
+}
+
 async function sign(urlStr) {
   const url = urlStr.split("://")[1];
   const encodedUrl = encodeURIComponent(url);
@@ -1056,6 +2004,3261 @@ async function sign(urlStr) {
   return `MSTranslatorAndroidApp::${signatureBase64}::${formattedDate}::${uuidStr}`;
 }
 
+// =================================================================================
+// Pronunciation Lexicon
+// =================================================================================
+
+// 发音词典存放在 KV 的 lexicon 键中：[{ id, word, alias | phoneme, alphabet, locale, case_sensitive }]。
+// locale 为空表示对所有音色生效，否则只对该区域（前缀匹配，如 "zh" 匹配 zh-CN/zh-TW）的音色生效
+const LEXICON_CACHE_TTL = 60 * 1000;
+const MAX_LEXICON_ENTRIES = 2000;
+const LEXICON_ALPHABETS = ["ipa", "sapi", "ups", "x-sampa"];
+let lexiconCache = { entries: null, loadedAt: 0 };
+
+async function handleLexiconRequest(request) {
+  if (!globalThis.TTS_HISTORY) {
+    return errorResponse("KV storage not configured", 500, "storage_error");
+  }
+  const url = new URL(request.url);
+  const id = url.pathname.replace(/^\/api\/lexicon\/?/, "") || null;
+  const entries = [...(await getLexicon(true))];
+
+  if (request.method === "GET" && !id) {
+    const locale = url.searchParams.get("locale");
+    return jsonResponse({
+      entries: locale
+        ? entries.filter(
+            (e) => !e.locale || e.locale.toLowerCase() === locale.toLowerCase()
+          )
+        : entries,
+    });
+  }
+
+  if (request.method === "POST" && !id) {
+    const entry = normalizeLexiconEntry(await request.json());
+    if (typeof entry === "string") {
+      return errorResponse(entry, 400, "invalid_request_error");
+    }
+    // 同一区域内的同一个词只保留一条，重复提交视为更新
+    const index = entries.findIndex(
+      (e) =>
+        e.word === entry.word &&
+        (e.locale || "").toLowerCase() === entry.locale.toLowerCase()
+    );
+    if (index >= 0) {
+      entry.id = entries[index].id;
+      entries[index] = entry;
+    } else {
+      if (entries.length >= MAX_LEXICON_ENTRIES) {
+        return errorResponse(
+          `The lexicon is limited to ${MAX_LEXICON_ENTRIES} entries.`,
+          400,
+          "lexicon_full"
+        );
+      }
+      entries.push(entry);
+    }
+    await saveLexicon(entries);
+    return jsonResponse({ entry });
+  }
+
+  const index = entries.findIndex((e) => e.id === id);
+  if (!id || index < 0) {
+    return errorResponse("Lexicon entry not found.", 404, "not_found");
+  }
+
+  if (request.method === "GET") {
+    return jsonResponse({ entry: entries[index] });
+  }
+  if (request.method === "PUT") {
+    const entry = normalizeLexiconEntry({
+      ...entries[index],
+      alias: undefined,
+      phoneme: undefined,
+      ...(await request.json()),
+    });
+    if (typeof entry === "string") {
+      return errorResponse(entry, 400, "invalid_request_error");
+    }
+    entry.id = id;
+    entries[index] = entry;
+    await saveLexicon(entries);
+    return jsonResponse({ entry });
+  }
+  if (request.method === "DELETE") {
+    entries.splice(index, 1);
+    await saveLexicon(entries);
+    return jsonResponse({ id, deleted: true });
+  }
+  return errorResponse("Method Not Allowed", 405, "method_not_allowed");
+}
+
+function jsonResponse(body) {
+  return new Response(JSON.stringify(body), {
+    headers: { "Content-Type": "application/json", ...makeCORSHeaders() },
+  });
+}
+
+// 校验并规范化词条，出错时返回错误信息字符串
+function normalizeLexiconEntry(data) {
+  const word = typeof data.word === "string" ? data.word.trim() : "";
+  if (!word || word.length > 100) {
+    return "'word' is required and must be at most 100 characters.";
+  }
+  const hasAlias = typeof data.alias === "string" && data.alias.trim();
+  const hasPhoneme = typeof data.phoneme === "string" && data.phoneme.trim();
+  if (!hasAlias === !hasPhoneme) {
+    return "Exactly one of 'alias' or 'phoneme' is required.";
+  }
+  const alphabet = data.alphabet || "ipa";
+  if (hasPhoneme && !LEXICON_ALPHABETS.includes(alphabet)) {
+    return `'alphabet' must be one of: ${LEXICON_ALPHABETS.join(", ")}.`;
+  }
+  const locale = typeof data.locale === "string" ? data.locale.trim() : "";
+  if (locale && !/^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(locale)) {
+    return "'locale' must be a language tag such as 'zh-CN', or empty.";
+  }
+  return {
+    id: data.id || crypto.randomUUID(),
+    word,
+    ...(hasAlias
+      ? { alias: data.alias.trim() }
+      : { phoneme: data.phoneme.trim(), alphabet }),
+    locale,
+    case_sensitive: data.case_sensitive !== false,
+    updated_at: Date.now(),
+  };
+}
+
+async function getLexicon(forceRefresh = false) {
+  if (!globalThis.TTS_HISTORY) return [];
+  if (
+    !forceRefresh &&
+    lexiconCache.entries &&
+    Date.now() - lexiconCache.loadedAt < LEXICON_CACHE_TTL
+  ) {
+    return lexiconCache.entries;
+  }
+  try {
+    const data = await globalThis.TTS_HISTORY.get("lexicon");
+    lexiconCache = {
+      entries: data ? JSON.parse(data) : [],
+      loadedAt: Date.now(),
+    };
+  } catch (error) {
+    // 词典读取失败不影响合成
+    console.error("Failed to load lexicon:", error);
+    return lexiconCache.entries || [];
+  }
+  return lexiconCache.entries;
+}
+
+async function saveLexicon(entries) {
+  await globalThis.TTS_HISTORY.put("lexicon", JSON.stringify(entries), {
+    metadata: { type: "lexicon", timestamp: Date.now() },
+  });
+  lexiconCache = { entries, loadedAt: Date.now() };
+}
+
+// 只保留对该音色所属区域生效的词条
+function lexiconForVoice(entries, voiceName) {
+  const locale = voiceLocale(voiceName).toLowerCase();
+  return entries.filter(
+    (e) => !e.locale || locale.startsWith(e.locale.toLowerCase())
+  );
+}
+
+// 转义文本为 SSML，命中词典的词替换为 <sub> 或 <phoneme>。长词优先；
+// 以字母数字开头/结尾的词要求边界，避免 "AI" 命中 "MAIL"。
+// 不区分大小写的词把每个字母展开为 [aA]，整个正则区分大小写，这样大小写不符的
+// 区分大小写词条不会占住位置，同一处仍可由更短的词条命中
+function applyLexicon(text, entries) {
+  if (!entries || entries.length === 0) return escapeXml(text);
+  const sorted = [...entries].sort((a, b) => b.word.length - a.word.length);
+  const escapeChar = (ch) => ch.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const pattern = new RegExp(
+    sorted
+      .map((e) => {
+        const escaped =
+          e.case_sensitive === false
+            ? [...e.word]
+                .map((ch) => {
+                  const lower = ch.toLowerCase();
+                  const upper = ch.toUpperCase();
+                  return lower !== upper &&
+                    lower.length === 1 &&
+                    upper.length === 1
+                    ? `[${lower}${upper}]`
+                    : escapeChar(ch);
+                })
+                .join("")
+            : escapeChar(e.word);
+        const before = /^[A-Za-z0-9]/.test(e.word) ? "(?<![A-Za-z0-9])" : "";
+        const after = /[A-Za-z0-9]$/.test(e.word) ? "(?![A-Za-z0-9])" : "";
+        return `(${before}${escaped}${after})`;
+      })
+      .join("|"),
+    "g"
+  );
+  let result = "";
+  let last = 0;
+  for (const match of text.matchAll(pattern)) {
+    const word = match[0];
+    // 第 i 个捕获组对应 sorted[i]
+    const entry = sorted[match.slice(1).findIndex((g) => g !== undefined)];
+    result += escapeXml(text.slice(last, match.index));
+    result += entry.alias
+      ? `<sub alias="${escapeXml(entry.alias)}">${escapeXml(word)}</sub>`
+      : `<phoneme alphabet="${entry.alphabet}" ph="${escapeXml(
+          entry.phoneme
+        )}">${escapeXml(word)}</phoneme>`;
+    last = match.index + word.length;
+  }
+  return result + escapeXml(text.slice(last));
+}
+
+// =================================================================================
+// Cleaning Rule Sets
+// =================================================================================
+
+// 替换规则集存放在 KV 的 rule_sets 键中：[{ name, description, rules, updated_at }]。
+// 每条规则 { pattern, replacement, regex, flags } 在文本清理开始前按顺序执行，
+// 请求通过 cleaning_options.rule_set 选择规则集
+const RULE_SET_CACHE_TTL = 60 * 1000;
+const MAX_RULE_SETS = 100;
+const MAX_RULES_PER_SET = 200;
+const RULE_SET_NAME_PATTERN = /^[\w-]{1,64}$/;
+let ruleSetCache = { sets: null, loadedAt: 0 };
+
+async function handleRuleSetsRequest(request) {
+  if (!globalThis.TTS_HISTORY) {
+    return errorResponse("KV storage not configured", 500, "storage_error");
+  }
+  const url = new URL(request.url);
+  const name =
+    decodeURIComponent(url.pathname.replace(/^\/api\/rule-sets\/?/, "")) ||
+    null;
+  const sets = [...(await getRuleSets(true))];
+
+  if (!name) {
+    if (request.method !== "GET") {
+      return errorResponse("Method Not Allowed", 405, "method_not_allowed");
+    }
+    return jsonResponse({ rule_sets: sets });
+  }
+
+  const index = sets.findIndex((set) => set.name === name);
+  if (request.method === "PUT") {
+    const ruleSet = normalizeRuleSet(name, await request.json());
+    if (typeof ruleSet === "string") {
+      return errorResponse(ruleSet, 400, "invalid_request_error");
+    }
+    if (index >= 0) {
+      sets[index] = ruleSet;
+    } else {
+      if (sets.length >= MAX_RULE_SETS) {
+        return errorResponse(
+          `At most ${MAX_RULE_SETS} rule sets can be stored.`,
+          400,
+          "rule_sets_full"
+        );
+      }
+      sets.push(ruleSet);
+    }
+    await saveRuleSets(sets);
+    return jsonResponse({ rule_set: ruleSet });
+  }
+
+  if (index < 0) {
+    return errorResponse("Rule set not found.", 404, "not_found");
+  }
+  if (request.method === "GET") {
+    return jsonResponse({ rule_set: sets[index] });
+  }
+  if (request.method === "DELETE") {
+    sets.splice(index, 1);
+    await saveRuleSets(sets);
+    return jsonResponse({ name, deleted: true });
+  }
+  return errorResponse("Method Not Allowed", 405, "method_not_allowed");
+}
+
+// 校验并规范化规则集，出错时返回错误信息字符串
+function normalizeRuleSet(name, data) {
+  if (!RULE_SET_NAME_PATTERN.test(name)) {
+    return "Rule set names may only contain letters, digits, '_' and '-' (at most 64 characters).";
+  }
+  if (
+    !Array.isArray(data.rules) ||
+    data.rules.length === 0 ||
+    data.rules.length > MAX_RULES_PER_SET
+  ) {
+    return `'rules' must be an array of 1 to ${MAX_RULES_PER_SET} rules.`;
+  }
+  const rules = [];
+  for (const [index, rule] of data.rules.entries()) {
+    const pattern =
+      rule && typeof rule.pattern === "string" ? rule.pattern : "";
+    if (!pattern || pattern.length > 1000) {
+      return `Rule ${index}: 'pattern' is required and must be at most 1000 characters.`;
+    }
+    const flags = rule.flags === undefined ? "g" : rule.flags;
+    if (
+      typeof flags !== "string" ||
+      !/^[gimsu]*$/.test(flags) ||
+      new Set(flags).size !== flags.length
+    ) {
+      return `Rule ${index}: 'flags' may only contain g, i, m, s and u.`;
+    }
+    if (rule.regex === true) {
+      try {
+        new RegExp(pattern, flags);
+      } catch (error) {
+        return `Rule ${index}: invalid regular expression: ${error.message}`;
+      }
+    }
+    rules.push({
+      pattern,
+      replacement: typeof rule.replacement === "string" ? rule.replacement : "",
+      regex: rule.regex === true,
+      flags,
+    });
+  }
+  return {
+    name,
+    description:
+      typeof data.description === "string"
+        ? data.description.trim().slice(0, 200)
+        : "",
+    rules,
+    updated_at: Date.now(),
+  };
+}
+
+async function getRuleSets(forceRefresh = false) {
+  if (!globalThis.TTS_HISTORY) return [];
+  if (
+    !forceRefresh &&
+    ruleSetCache.sets &&
+    Date.now() - ruleSetCache.loadedAt < RULE_SET_CACHE_TTL
+  ) {
+    return ruleSetCache.sets;
+  }
+  const data = await globalThis.TTS_HISTORY.get("rule_sets");
+  ruleSetCache = { sets: data ? JSON.parse(data) : [], loadedAt: Date.now() };
+  return ruleSetCache.sets;
+}
+
+async function saveRuleSets(sets) {
+  await globalThis.TTS_HISTORY.put("rule_sets", JSON.stringify(sets), {
+    metadata: { type: "rule_sets", timestamp: Date.now() },
+  });
+  ruleSetCache = { sets, loadedAt: Date.now() };
+}
+
+// 合并默认清理选项，并把 rule_set 名称解析为 rules。规则集不存在时抛出错误
+async function resolveCleaningOptions(cleaningOptions) {
+  const options = {
+    ...DEFAULT_CLEANING_OPTIONS,
+    ...cleaningOptions,
+    rules: [],
+  };
+  if (options.rule_set) {
+    const ruleSet = (await getRuleSets()).find(
+      (set) => set.name === options.rule_set
+    );
+    if (!ruleSet) throw new Error(`Rule set '${options.rule_set}' not found.`);
+    options.rules = ruleSet.rules;
+  }
+  return options;
+}
+
+// 按顺序执行替换规则。字面量规则的替换文本中的 $ 不做特殊处理
+function applyReplaceRules(text, rules) {
+  return rules.reduce(
+    (result, rule) =>
+      rule.regex
+        ? result.replace(new RegExp(rule.pattern, rule.flags), rule.replacement)
+        : result.replace(
+            new RegExp(
+              rule.pattern.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
+              rule.flags
+            ),
+            rule.replacement.replace(/\$/g, "$$$$")
+          ),
+    text
+  );
+}
+
+// =================================================================================
+// API Keys & Authorization
+// =================================================================================
+
+// 除环境变量 API_KEY / READONLY_API_KEY 外，还可以在 KV 中创建多个 Key（POST /api/keys）。
+// 每个 Key 存放在 api_key_<id> 中，只保存 SHA-256 哈希；Key 本身的格式为
+// sk-tts-<id>-<secret>，验证时直接从中取出 id。当天用量存放在 key_usage_<id>_<日期> 中
+const API_KEY_TOKEN_PATTERN = /^sk-tts-([0-9a-f]{12})-[0-9a-f]{40}$/;
+const API_KEY_ROLES = ["admin", "read"];
+const API_KEY_TOUCH_INTERVAL = 60 * 1000;
+const KEY_USAGE_TTL = 2 * 24 * 60 * 60;
+const MAX_API_KEY_LIST_ITEMS = 100;
+// 合成接口：按字符数计入配额，并按 Key / 分享 / IP 限流
+const METERED_ROUTES = ["/v1/audio/speech", "/v1/audio/batches"];
+
+async function handleApiKeysRequest(request) {
+  if (!globalThis.TTS_HISTORY) {
+    return errorResponse("KV storage not configured", 500, "storage_error");
+  }
+  const url = new URL(request.url);
+  const [id, action] = url.pathname
+    .replace(/^\/api\/keys\/?/, "")
+    .split("/")
+    .filter(Boolean);
+
+  if (!id) {
+    if (request.method === "GET") {
+      const list = await globalThis.TTS_HISTORY.list({
+        prefix: "api_key_",
+        limit: MAX_API_KEY_LIST_ITEMS,
+      });
+      const keys = await Promise.all(
+        list.keys.map((key) => loadApiKey(key.name.replace("api_key_", "")))
+      );
+      return jsonResponse({
+        keys: await Promise.all(
+          keys
+            .filter(Boolean)
+            .sort((a, b) => b.created_at - a.created_at)
+            .map(apiKeyView)
+        ),
+      });
+    }
+    if (request.method === "POST") {
+      // 未配置 API_KEY 时任何 Bearer Key 都能通过校验，此时创建的 Key 没有意义
+      if (!globalThis.API_KEY) {
+        return errorResponse(
+          "Set the API_KEY environment variable before creating API keys.",
+          403,
+          "api_key_not_configured"
+        );
+      }
+      const options = normalizeApiKeyOptions(await request.json(), {
+        role: "read",
+        label: "",
+        daily_quota: null,
+        allowed_routes: [],
+        allowed_voices: [],
+      });
+      if (typeof options === "string") {
+        return errorResponse(options, 400, "invalid_request_error");
+      }
+      const record = {
+        id: randomHex(6),
+        ...options,
+        created_at: Date.now(),
+        last_used_at: null,
+        rotated_at: null,
+        revoked_at: null,
+      };
+      const token = await assignApiKeySecret(record);
+      await saveApiKey(record);
+      return jsonResponse({ key: token, api_key: await apiKeyView(record) });
+    }
+    return errorResponse("Method Not Allowed", 405, "method_not_allowed");
+  }
+
+  const record = await loadApiKey(id);
+  if (!record) {
+    return errorResponse("API key not found.", 404, "not_found");
+  }
+  if (action === "rotate") {
+    if (request.method !== "POST") {
+      return errorResponse("Method Not Allowed", 405, "method_not_allowed");
+    }
+    if (record.revoked_at) {
+      return errorResponse(
+        "Revoked API keys cannot be rotated.",
+        400,
+        "invalid_request_error"
+      );
+    }
+    const token = await assignApiKeySecret(record);
+    record.rotated_at = Date.now();
+    await saveApiKey(record);
+    return jsonResponse({ key: token, api_key: await apiKeyView(record) });
+  }
+  if (action) {
+    return errorResponse("Not Found", 404, "not_found");
+  }
+  if (request.method === "GET") {
+    return jsonResponse({ api_key: await apiKeyView(record) });
+  }
+  if (request.method === "PATCH") {
+    const options = normalizeApiKeyOptions(await request.json(), record);
+    if (typeof options === "string") {
+      return errorResponse(options, 400, "invalid_request_error");
+    }
+    Object.assign(record, options);
+    await saveApiKey(record);
+    return jsonResponse({ api_key: await apiKeyView(record) });
+  }
+  if (request.method === "DELETE") {
+    // 吊销后保留记录，列表中仍可看到用量和吊销时间
+    record.revoked_at = record.revoked_at || Date.now();
+    await saveApiKey(record);
+    return jsonResponse({ id, revoked: true });
+  }
+  return errorResponse("Method Not Allowed", 405, "method_not_allowed");
+}
+
+// 校验并合并可修改的字段，出错时返回错误信息字符串
+function normalizeApiKeyOptions(data, current) {
+  const options = {
+    role: current.role,
+    label: current.label,
+    daily_quota: current.daily_quota,
+    allowed_routes: current.allowed_routes,
+    allowed_voices: current.allowed_voices,
+  };
+  if (data.role !== undefined) {
+    if (!API_KEY_ROLES.includes(data.role)) {
+      return `'role' must be one of: ${API_KEY_ROLES.join(", ")}.`;
+    }
+    options.role = data.role;
+  }
+  if (data.label !== undefined) {
+    if (typeof data.label !== "string" || data.label.length > 100) {
+      return "'label' must be a string of at most 100 characters.";
+    }
+    options.label = data.label.trim();
+  }
+  if (data.daily_quota !== undefined) {
+    if (
+      data.daily_quota !== null &&
+      !(Number.isInteger(data.daily_quota) && data.daily_quota > 0)
+    ) {
+      return "'daily_quota' must be a positive integer (characters per day) or null for unlimited.";
+    }
+    options.daily_quota = data.daily_quota;
+  }
+  if (data.allowed_routes !== undefined) {
+    if (
+      !Array.isArray(data.allowed_routes) ||
+      data.allowed_routes.length > 50 ||
+      data.allowed_routes.some(
+        (route) => typeof route !== "string" || !route.startsWith("/")
+      )
+    ) {
+      return "'allowed_routes' must be an array of at most 50 path prefixes starting with '/'.";
+    }
+    options.allowed_routes = data.allowed_routes;
+  }
+  if (data.allowed_voices !== undefined) {
+    if (
+      !Array.isArray(data.allowed_voices) ||
+      data.allowed_voices.length > 200 ||
+      data.allowed_voices.some((voice) => typeof voice !== "string" || !voice)
+    ) {
+      return "'allowed_voices' must be an array of at most 200 voice names.";
+    }
+    options.allowed_voices = data.allowed_voices;
+  }
+  return options;
+}
+
+// 生成新的 Key 并把哈希写入 record，返回明文 Key（只在创建和轮换时返回一次）
+async function assignApiKeySecret(record) {
+  const token = `sk-tts-${record.id}-${randomHex(20)}`;
+  record.key_hash = await sha256Hex(token);
+  record.key_hint = `${token.slice(0, 19)}…${token.slice(-4)}`;
+  return token;
+}
+
+async function loadApiKey(id) {
+  const data = await globalThis.TTS_HISTORY.get(`api_key_${id}`);
+  return data ? JSON.parse(data) : null;
+}
+
+async function saveApiKey(record) {
+  await globalThis.TTS_HISTORY.put(
+    `api_key_${record.id}`,
+    JSON.stringify(record),
+    { metadata: { type: "api_key", timestamp: record.created_at } }
+  );
+}
+
+// 对外展示的字段：不含哈希，附带当天用量
+async function apiKeyView(record) {
+  const { key_hash, ...view } = record;
+  return { ...view, usage: await loadKeyUsage(record.id) };
+}
+
+function keyUsageDate() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+async function loadKeyUsage(id) {
+  const date = keyUsageDate();
+  const data = await globalThis.TTS_HISTORY.get(`key_usage_${id}_${date}`);
+  return data ? JSON.parse(data) : { date, characters: 0, requests: 0 };
+}
+
+async function saveKeyUsage(id, usage) {
+  await globalThis.TTS_HISTORY.put(
+    `key_usage_${id}_${usage.date}`,
+    JSON.stringify(usage),
+    { expirationTtl: KEY_USAGE_TTL }
+  );
+}
+
+// 返回 { role, apiKey }，apiKey 为 KV 中的 Key 记录（环境变量 Key 为 null）；无效时返回 null。
+// 未配置 API_KEY 时与 /v1 一致，任何 Bearer Key 都视为管理员；但 sk-tts- 格式的 Key
+// 只按 KV 记录校验，已吊销或不存在时始终无效
+async function resolveApiKey(token) {
+  const match = API_KEY_TOKEN_PATTERN.exec(token);
+  if (match) {
+    const record = globalThis.TTS_HISTORY ? await loadApiKey(match[1]) : null;
+    if (
+      record &&
+      !record.revoked_at &&
+      record.key_hash === (await sha256Hex(token))
+    ) {
+      return { role: record.role, apiKey: record };
+    }
+    return null;
+  }
+  if (!globalThis.API_KEY || token === globalThis.API_KEY) {
+    return { role: "admin", apiKey: null };
+  }
+  // READONLY_API_KEY 逗号分隔可配置多个只读 Key
+  const readOnlyKeys = String(globalThis.READONLY_API_KEY || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+  return readOnlyKeys.includes(token) ? { role: "read", apiKey: null } : null;
+}
+
+// 成功时返回 { apiKey }，失败时返回 { error }
+async function checkApiKey(request, requiredRole = "read") {
+  const authHeader = request.headers.get("authorization");
+  if (!authHeader || !authHeader.startsWith("Bearer ")) {
+    return { error: errorResponse("API key required", 401, "unauthorized") };
+  }
+  const auth = await resolveApiKey(authHeader.slice(7));
+  if (!auth) {
+    return {
+      error: errorResponse("Invalid API key.", 403, "invalid_api_key"),
+    };
+  }
+  if (requiredRole === "admin" && auth.role !== "admin") {
+    return {
+      error: errorResponse(
+        "This API key is read-only.",
+        403,
+        "insufficient_permissions"
+      ),
+    };
+  }
+  return { apiKey: auth.apiKey };
+}
+
+// /api/* 路由需要的角色：音频和字幕由分享页按 ID 直接引用，不需要 Key
+// （带密码的分享在处理函数中另外检查会话 Cookie）；
+// GET 请求和不写入数据的 /api/clean 允许只读 Key，其余（保存、删除、设置密码、
+// 修改词典和规则集）以及 Key 管理需要管理员 Key
+function apiRouteRole(request, pathname) {
+  if (
+    pathname.startsWith("/api/audio/") ||
+    pathname.startsWith("/api/subtitles/")
+  ) {
+    return "public";
+  }
+  if (pathname === "/api/keys" || pathname.startsWith("/api/keys/")) {
+    return "admin";
+  }
+  if (request.method === "GET" || pathname === "/api/clean") return "read";
+  return "admin";
+}
+
+// /v1/* 路由需要的角色：合成、查询和创建批量任务允许只读 Key，取消或删除批量任务需要管理员 Key
+function v1RouteRole(request, pathname) {
+  if (pathname.startsWith("/v1/audio/batches/") && request.method !== "GET") {
+    return "admin";
+  }
+  return "read";
+}
+
+// 对 KV 中的 Key 执行路由、音色和每日字符配额限制。失败时返回 { error }，
+// 否则返回 { characters }：本次请求在合成成功后需要计入配额的字符数（不计量时为 0）
+async function enforceApiKeyLimits(request, url, apiKey, ctx) {
+  if (
+    apiKey.allowed_routes.length > 0 &&
+    !apiKey.allowed_routes.some((route) => url.pathname.startsWith(route))
+  ) {
+    return {
+      error: errorResponse(
+        `This API key is not allowed to access ${url.pathname}.`,
+        403,
+        "route_not_allowed"
+      ),
+    };
+  }
+
+  // last_used_at 最多每分钟写一次，避免每个请求都写 KV
+  if (Date.now() - (apiKey.last_used_at || 0) > API_KEY_TOUCH_INTERVAL) {
+    apiKey.last_used_at = Date.now();
+    const touch = saveApiKey(apiKey).catch((error) =>
+      console.error("Failed to update API key last_used_at:", error)
+    );
+    if (ctx) ctx.waitUntil(touch);
+    else await touch;
+  }
+
+  if (request.method !== "POST" || !METERED_ROUTES.includes(url.pathname)) {
+    return { characters: 0 };
+  }
+  let body;
+  try {
+    body = await request.clone().json();
+  } catch (error) {
+    return { characters: 0 }; // 交给具体接口报告请求体错误
+  }
+
+  if (apiKey.allowed_voices.length > 0) {
+    const voice = requestedVoices(body).find(
+      (name) => !apiKey.allowed_voices.includes(name)
+    );
+    if (voice) {
+      return {
+        error: errorResponse(
+          `This API key is not allowed to use voice '${voice}'.`,
+          403,
+          "voice_not_allowed"
+        ),
+      };
+    }
+  }
+
+  const characters = requestCharacters(body);
+  const usage = await loadKeyUsage(apiKey.id);
+  if (
+    apiKey.daily_quota !== null &&
+    usage.characters + characters > apiKey.daily_quota
+  ) {
+    return {
+      error: errorResponse(
+        `You exceeded your current quota: ${usage.characters} of ${apiKey.daily_quota} characters used today, this request needs ${characters}.`,
+        429,
+        "insufficient_quota",
+        "insufficient_quota"
+      ),
+    };
+  }
+  return { characters };
+}
+
+// 请求成功后把字符数计入当天用量，返回原响应。配额只是近似限制：并发请求在计入前
+// 都能通过检查，流式响应在开始输出时即计入，KV 读写也不是原子的，因此可能略微超出
+async function recordKeyUsage(apiKey, characters, response, ctx) {
+  if (!apiKey || !characters || !response.ok) return response;
+  const record = (async () => {
+    const usage = await loadKeyUsage(apiKey.id);
+    usage.characters += characters;
+    usage.requests += 1;
+    await saveKeyUsage(apiKey.id, usage);
+  })().catch((error) =>
+    console.error("Failed to record API key usage:", error)
+  );
+  if (ctx) ctx.waitUntil(record);
+  else await record;
+  return response;
+}
+
+// 请求中会用到的所有音色（按完整音色名）：voice、speakers、脚本中每句的 voice、
+// 对白音色、auto_language 音色表以及 SSML 中的 <voice name>
+function requestedVoices(body) {
+  const voices = [resolveVoiceName(body.model || "tts-1", body.voice)];
+  for (const speaker of Object.values(body.speakers || {})) {
+    const voice =
+      typeof speaker === "string" ? speaker : speaker && speaker.voice;
+    if (voice) voices.push(resolveVoiceName("tts-1", voice));
+  }
+  if (Array.isArray(body.input)) {
+    for (const turn of body.input) {
+      if (turn && turn.voice)
+        voices.push(resolveVoiceName("tts-1", turn.voice));
+    }
+  } else if (typeof body.input === "string") {
+    for (const match of body.input.matchAll(
+      /<voice\b[^>]*\bname\s*=\s*["']([^"']+)["']/gi
+    )) {
+      voices.push(match[1]);
+    }
+  }
+  if (body.dialogue_options && body.dialogue_options.voice) {
+    voices.push(resolveVoiceName("tts-1", body.dialogue_options.voice));
+  }
+  const languageVoices = resolveLanguageVoices(body.auto_language);
+  if (languageVoices) voices.push(...Object.values(languageVoices));
+  return [...new Set(voices)];
+}
+
+// 计入配额的字符数：input（字符串或脚本数组）与 batches 的 inputs
+function requestCharacters(body) {
+  const items = [body.input, body.inputs].flat(2);
+  return items.reduce((sum, item) => {
+    const text = item && typeof item === "object" ? item.text : item;
+    return sum + (typeof text === "string" ? text.length : 0);
+  }, 0);
+}
+
+function randomHex(bytes) {
+  return bytesToHex(crypto.getRandomValues(new Uint8Array(bytes)));
+}
+
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(text)
+  );
+  return bytesToHex(new Uint8Array(digest));
+}
+
+function bytesToHex(bytes) {
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0")).join(
+    ""
+  );
+}
+
+// =================================================================================
+// Rate Limiting
+// =================================================================================
+
+// 令牌桶限流：合成接口按 API Key、分享 UUID 和 CF-Connecting-IP 各自计数，分享密码校验按 IP 计数。
+// 配置格式为 "请求数/秒数"（如 "60/60" 表示每分钟 60 次，允许一次性用完），"0" 或 "off" 关闭。
+// 桶状态默认保存在当前 Worker 实例的内存中，每个实例单独计数，不产生 KV 写入；
+// RATE_LIMIT_STORE=kv 时改存 KV 的 rate_<scope>_<id>（跨实例共享，但每个请求都会写一次 KV，
+// 且 KV 为最终一致，限制仍是近似值）。存储出错时放行请求，不影响正常服务
+const DEFAULT_RATE_LIMITS = {
+  key: "60/60",
+  share: "30/60",
+  ip: "120/60",
+};
+// 分享密码错误按 分享 + IP 计数，连续错误 SHARE_LOCKOUT_THRESHOLD 次后锁定该 IP，之后每错一次
+// 锁定时间翻倍。不锁定整个分享，否则更换 IP 就能把所有正常访问者挡在外面；
+// 跨 IP 的暴力猜测由 PBKDF2 的计算成本和按 IP 的限流约束
+const SHARE_LOCKOUT_THRESHOLD = 5;
+const SHARE_LOCKOUT_BASE_SECONDS = 30;
+const SHARE_LOCKOUT_MAX_SECONDS = 60 * 60;
+const SHARE_LOCKOUT_TTL = 24 * 60 * 60;
+// 内存中的桶按最近使用排序，超过上限时丢弃最久未用的（丢弃即视为已装满）
+const MAX_MEMORY_RATE_BUCKETS = 10000;
+const memoryRateBuckets = new Map();
+
+function parseRateLimit(value) {
+  const match = /^\s*(\d+)\s*\/\s*(\d+)\s*$/.exec(String(value));
+  if (!match || match[1] === "0" || match[2] === "0") return null;
+  return { capacity: parseInt(match[1], 10), period: parseInt(match[2], 10) };
+}
+
+// scope 为 key / share / ip。允许时返回 null，否则返回带 Retry-After 的 429 响应
+async function checkRateLimit(scope, id) {
+  const limitSetting = {
+    key: globalThis.RATE_LIMIT_PER_KEY,
+    share: globalThis.RATE_LIMIT_PER_SHARE,
+    ip: globalThis.RATE_LIMIT_PER_IP,
+  }[scope];
+  const limit = parseRateLimit(limitSetting || DEFAULT_RATE_LIMITS[scope]);
+  if (!limit || !id) return null;
+
+  const bucketKey = `rate_${scope}_${id}`;
+  const useKV =
+    String(globalThis.RATE_LIMIT_STORE || "").toLowerCase() === "kv" &&
+    globalThis.TTS_HISTORY;
+  const now = Date.now();
+  let state;
+  try {
+    if (useKV) {
+      const data = await globalThis.TTS_HISTORY.get(bucketKey);
+      state = data ? JSON.parse(data) : null;
+    } else {
+      state = memoryRateBuckets.get(bucketKey);
+    }
+  } catch (error) {
+    console.error("Rate limit lookup failed, allowing request:", error);
+    return null;
+  }
+  const refillPerSecond = limit.capacity / limit.period;
+  const tokens = state
+    ? Math.min(
+        limit.capacity,
+        state.tokens + ((now - state.updated_at) / 1000) * refillPerSecond
+      )
+    : limit.capacity;
+
+  if (tokens < 1) {
+    const retryAfter = Math.ceil((1 - tokens) / refillPerSecond);
+    return rateLimitResponse(
+      `Rate limit exceeded for this ${
+        scope === "ip" ? "client IP" : scope === "share" ? "share" : "API key"
+      }: ${limit.capacity} requests per ${
+        limit.period
+      }s. Retry after ${retryAfter}s.`,
+      retryAfter
+    );
+  }
+
+  const next = { tokens: tokens - 1, updated_at: now };
+  if (useKV) {
+    // KV 的 expirationTtl 最小为 60 秒；桶过期即视为已装满
+    await globalThis.TTS_HISTORY.put(bucketKey, JSON.stringify(next), {
+      expirationTtl: Math.max(60, limit.period * 2),
+    }).catch((error) =>
+      console.error("Failed to save rate limit bucket:", error)
+    );
+  } else {
+    memoryRateBuckets.delete(bucketKey);
+    memoryRateBuckets.set(bucketKey, next);
+    if (memoryRateBuckets.size > MAX_MEMORY_RATE_BUCKETS) {
+      memoryRateBuckets.delete(memoryRateBuckets.keys().next().value);
+    }
+  }
+  return null;
+}
+
+function rateLimitResponse(message, retryAfter) {
+  const response = errorResponse(
+    message,
+    429,
+    "rate_limit_exceeded",
+    "rate_limit_error"
+  );
+  response.headers.set("Retry-After", String(retryAfter));
+  response.headers.set("Access-Control-Expose-Headers", "Retry-After");
+  return response;
+}
+
+function clientIp(request) {
+  return request.headers.get("CF-Connecting-IP") || "";
+}
+
+// 分享密码锁定状态：{ failures, locked_until }，记录在 share_lockout_<id>_<ip> 中。
+// 处于锁定中时返回剩余秒数，否则返回 0；读取失败时不锁定
+async function getShareLockout(id, ip) {
+  try {
+    const data = await globalThis.TTS_HISTORY.get(`share_lockout_${id}_${ip}`);
+    const lockout = data ? JSON.parse(data) : null;
+    if (!lockout || !lockout.locked_until) return 0;
+    return Math.max(0, Math.ceil((lockout.locked_until - Date.now()) / 1000));
+  } catch (error) {
+    console.error("Failed to read share lockout:", error);
+    return 0;
+  }
+}
+
+// 记录一次密码错误，返回由此触发的锁定秒数（未达到阈值时为 0）
+async function recordSharePasswordFailure(id, ip) {
+  const key = `share_lockout_${id}_${ip}`;
+  try {
+    const data = await globalThis.TTS_HISTORY.get(key);
+    const lockout = data ? JSON.parse(data) : { failures: 0 };
+    lockout.failures += 1;
+    let seconds = 0;
+    if (lockout.failures >= SHARE_LOCKOUT_THRESHOLD) {
+      seconds = Math.min(
+        SHARE_LOCKOUT_MAX_SECONDS,
+        SHARE_LOCKOUT_BASE_SECONDS *
+          2 ** (lockout.failures - SHARE_LOCKOUT_THRESHOLD)
+      );
+      lockout.locked_until = Date.now() + seconds * 1000;
+    }
+    await globalThis.TTS_HISTORY.put(key, JSON.stringify(lockout), {
+      expirationTtl: SHARE_LOCKOUT_TTL,
+    });
+    return seconds;
+  } catch (error) {
+    console.error("Failed to record share password failure:", error);
+    return 0;
+  }
+}
+
+async function clearSharePasswordFailures(id, ip) {
+  await globalThis.TTS_HISTORY.delete(`share_lockout_${id}_${ip}`).catch(
+    (error) => console.error("Failed to clear share lockout:", error)
+  );
+}
+
+function shareLockoutResponse(seconds) {
+  return rateLimitResponse(
+    `Too many incorrect password attempts. Try again in ${seconds}s.`,
+    seconds
+  );
+}
+
+// 密码页面；lockedSeconds > 0 时以 429 显示锁定提示，否则显示 error（可为空）
+function sharePasswordPageResponse(id, lockedSeconds = 0, error = "") {
+  const headers = { "Content-Type": "text/html; charset=utf-8" };
+  if (lockedSeconds > 0) {
+    return new Response(
+      getPasswordPageHTML(id, `尝试次数过多，请 ${lockedSeconds} 秒后再试`),
+      {
+        status: 429,
+        headers: { ...headers, "Retry-After": String(lockedSeconds) },
+      }
+    );
+  }
+  return new Response(getPasswordPageHTML(id, error), { headers });
+}
+
+// =================================================================================
+// Share Passwords & Sessions
+// =================================================================================
+
+// 分享密码以 PBKDF2-SHA256 加盐哈希保存在 meta_<id>.password 中：{ algorithm, iterations, salt, hash }；
+// 旧数据中的明文密码在下一次验证成功时改存哈希。验证通过后下发 HMAC 签名的会话 Cookie，
+// 内容为 "<过期时间>.<签名>"，签名覆盖分享 ID、过期时间和密码的 salt，因此修改密码后旧会话失效
+// PBKDF2 迭代次数越多越难暴力破解，但每次设置或校验密码都要花费相应的 CPU 时间：
+// 100000 次（Workers 允许的上限）约需 50ms，超过免费套餐每个请求 10ms 的 CPU 限制，
+// 可用环境变量 SHARE_PASSWORD_ITERATIONS 调低。已保存的哈希按各自记录的次数校验
+const DEFAULT_SHARE_PASSWORD_ITERATIONS = 100000;
+const MIN_SHARE_PASSWORD_ITERATIONS = 10000;
+const SHARE_SESSION_TTL = 7 * 24 * 60 * 60;
+
+function sharePasswordIterations() {
+  return clampNumber(
+    globalThis.SHARE_PASSWORD_ITERATIONS,
+    MIN_SHARE_PASSWORD_ITERATIONS,
+    DEFAULT_SHARE_PASSWORD_ITERATIONS,
+    DEFAULT_SHARE_PASSWORD_ITERATIONS
+  );
+}
+
+async function hashSharePassword(
+  password,
+  salt = randomHex(16),
+  iterations = sharePasswordIterations()
+) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    "raw",
+    encoder.encode(password),
+    "PBKDF2",
+    false,
+    ["deriveBits"]
+  );
+  const bits = await crypto.subtle.deriveBits(
+    { name: "PBKDF2", hash: "SHA-256", salt: encoder.encode(salt), iterations },
+    key,
+    256
+  );
+  return {
+    algorithm: "PBKDF2-SHA256",
+    iterations,
+    salt,
+    hash: bytesToHex(new Uint8Array(bits)),
+  };
+}
+
+// 校验分享密码；明文存储的旧密码验证成功后迁移为哈希并写回 KV
+async function checkSharePassword(id, metadata, password) {
+  const stored = metadata.password;
+  if (typeof stored === "string") {
+    if (!timingSafeEqual(password, stored)) return false;
+    metadata.password = await hashSharePassword(password);
+    await saveShareMetadata(id, metadata);
+    return true;
+  }
+  const { hash } = await hashSharePassword(
+    password,
+    stored.salt,
+    stored.iterations
+  );
+  return timingSafeEqual(hash, stored.hash);
+}
+
+// 签名密钥使用环境变量 SHARE_SESSION_SECRET，未设置时由 API_KEY 派生（更换 API_KEY 会使
+// 已有会话失效）；两者都未设置时无法签发会话，带密码的分享不可用
+function hasShareSessionSecret() {
+  return !!(globalThis.SHARE_SESSION_SECRET || globalThis.API_KEY);
+}
+
+async function getShareSessionSecret() {
+  if (globalThis.SHARE_SESSION_SECRET) return globalThis.SHARE_SESSION_SECRET;
+  if (!globalThis.API_KEY) {
+    throw new Error(
+      "Set SHARE_SESSION_SECRET or API_KEY to use password-protected shares."
+    );
+  }
+  const key = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(globalThis.API_KEY),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  const secret = await crypto.subtle.sign(
+    "HMAC",
+    key,
+    new TextEncoder().encode("share-session-secret")
+  );
+  return bytesToHex(new Uint8Array(secret));
+}
+
+async function signShareSession(id, expires, salt) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    "raw",
+    encoder.encode(await getShareSessionSecret()),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  const signature = await crypto.subtle.sign(
+    "HMAC",
+    key,
+    encoder.encode(`${id}.${expires}.${salt}`)
+  );
+  return bytesToHex(new Uint8Array(signature));
+}
+
+// 返回 Set-Cookie 头的值，需在 metadata.password 已为哈希格式后调用。
+// Cookie 作用于整个站点，分享页引用的 /api/audio 和 /api/subtitles 也会带上
+async function createShareSessionCookie(id, metadata) {
+  const expires = Math.floor(Date.now() / 1000) + SHARE_SESSION_TTL;
+  const signature = await signShareSession(id, expires, metadata.password.salt);
+  return `share_auth_${id}=${expires}.${signature}; Max-Age=${SHARE_SESSION_TTL}; Path=/; HttpOnly; SameSite=Lax; Secure`;
+}
+
+async function verifyShareSession(id, metadata, value) {
+  const match = /^(\d+)\.([0-9a-f]{64})$/.exec(value || "");
+  if (!match || typeof metadata.password === "string") return false;
+  if (parseInt(match[1], 10) * 1000 < Date.now()) return false;
+  return timingSafeEqual(
+    match[2],
+    await signShareSession(id, match[1], metadata.password.salt)
+  );
+}
+
+// 带密码分享的音频和字幕需要该分享的会话 Cookie，或有效的 API Key（历史记录页）
+async function canAccessShareContent(request, id, metadata) {
+  if (!metadata.password) return true;
+  const cookies = parseCookies(request.headers.get("Cookie") || "");
+  if (await verifyShareSession(id, metadata, cookies[`share_auth_${id}`])) {
+    return true;
+  }
+  return (
+    request.headers.has("authorization") && !(await checkApiKey(request)).error
+  );
+}
+
+function shareAuthRequiredResponse() {
+  return errorResponse(
+    "This share is password protected.",
+    401,
+    "password_required"
+  );
+}
+
+// ?pwd= 查询参数会出现在浏览历史和日志中，已不推荐使用；ALLOW_PWD_QUERY=false 时关闭
+function isPwdQueryAllowed() {
+  return String(globalThis.ALLOW_PWD_QUERY || "true").toLowerCase() !== "false";
+}
+
+function timingSafeEqual(a, b) {
+  const encoder = new TextEncoder();
+  const left = encoder.encode(String(a));
+  const right = encoder.encode(String(b));
+  let diff = left.length ^ right.length;
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    diff |= (left[i] || 0) ^ (right[i] || 0);
+  }
+  return diff === 0;
+}
+
+// =================================================================================
+// Share Expiration
+// =================================================================================
+
+// 分享可设置到期时间 expiresAt（毫秒时间戳）和最多播放次数 maxViews，已播放次数记在 views 中：
+// 预存储音频每次从 /api/audio 取音频计一次，实时播放每次合成请求计一次。
+// autoDelete 为 true 时相关 KV 键带 expirationTtl，到期 SHARE_EXPIRED_GRACE 秒后自动删除，
+// 在此之前访问显示过期页面。views 为读改写计数，并发访问时可能略有偏差
+const MAX_SHARE_EXPIRES_IN = 365 * 24 * 60 * 60;
+const MAX_SHARE_VIEWS = 1000000;
+const SHARE_EXPIRED_GRACE = 24 * 60 * 60;
+
+// Handle share limits update (POST /api/update-share)
+async function handleUpdateShareRequest(request) {
+  if (request.method !== "POST") {
+    return errorResponse("Method Not Allowed", 405, "method_not_allowed");
+  }
+  if (!globalThis.TTS_HISTORY) {
+    return errorResponse("KV storage not configured", 500, "storage_error");
+  }
+
+  try {
+    const data = await request.json();
+    if (!data.id) {
+      return errorResponse("Missing item ID", 400, "invalid_request");
+    }
+    const metadataStr = await globalThis.TTS_HISTORY.get(`meta_${data.id}`);
+    if (!metadataStr) {
+      return errorResponse("Item not found", 404, "not_found");
+    }
+    const metadata = JSON.parse(metadataStr);
+    const limits = parseShareLimits(data, metadata);
+    if (typeof limits === "string") {
+      return errorResponse(limits, 400, "invalid_request_error");
+    }
+    const wasAutoDelete = !!metadata.autoDelete;
+    Object.assign(metadata, limits);
+    if (data.resetViews === true) metadata.views = 0;
+
+    await saveShareMetadata(data.id, metadata);
+    // 自动删除的设置有变化时，音频、字幕和分享授权也要按新的 TTL 重新写入
+    if (wasAutoDelete || metadata.autoDelete) {
+      await rewriteShareKeys(data.id, metadata);
+    }
+    await updateHistoryIndexEntry(data.id, {
+      expiresAt: metadata.expiresAt,
+      maxViews: metadata.maxViews,
+      autoDelete: metadata.autoDelete,
+    });
+
+    return jsonResponse({
+      success: true,
+      expiresAt: metadata.expiresAt,
+      maxViews: metadata.maxViews,
+      views: metadata.views || 0,
+      autoDelete: metadata.autoDelete,
+    });
+  } catch (error) {
+    return errorResponse(
+      `Failed to update share: ${error.message}`,
+      500,
+      "update_error"
+    );
+  }
+}
+
+// 解析 expiresIn（秒，null/0 表示永久）、maxViews（null/0 表示不限）和 autoDelete，
+// 未提供的字段沿用 current 中的值。出错时返回错误信息字符串
+function parseShareLimits(data, current = {}) {
+  const limits = {
+    expiresAt: current.expiresAt || null,
+    maxViews: current.maxViews || null,
+    autoDelete: !!current.autoDelete,
+  };
+  if (data.expiresIn !== undefined) {
+    const seconds = Number(data.expiresIn || 0);
+    if (
+      !Number.isFinite(seconds) ||
+      seconds < 0 ||
+      seconds > MAX_SHARE_EXPIRES_IN
+    ) {
+      return `'expiresIn' must be a number of seconds between 0 and ${MAX_SHARE_EXPIRES_IN}.`;
+    }
+    limits.expiresAt = seconds > 0 ? Date.now() + seconds * 1000 : null;
+  }
+  if (data.maxViews !== undefined) {
+    const views = Number(data.maxViews || 0);
+    if (!Number.isInteger(views) || views < 0 || views > MAX_SHARE_VIEWS) {
+      return `'maxViews' must be an integer between 0 and ${MAX_SHARE_VIEWS}.`;
+    }
+    limits.maxViews = views > 0 ? views : null;
+  }
+  if (data.autoDelete !== undefined) {
+    limits.autoDelete = data.autoDelete === true || data.autoDelete === "true";
+  }
+  if (limits.autoDelete && !limits.expiresAt) {
+    return "'autoDelete' requires an expiry time ('expiresIn').";
+  }
+  return limits;
+}
+
+// 返回分享不可用的原因：expired（已过期）或 exhausted（播放次数已用完），可用时返回 null
+function shareUnavailableReason(metadata) {
+  if (metadata.expiresAt && metadata.expiresAt <= Date.now()) return "expired";
+  if (metadata.maxViews && (metadata.views || 0) >= metadata.maxViews) {
+    return "exhausted";
+  }
+  return null;
+}
+
+function shareUnavailableResponse(reason) {
+  return errorResponse(
+    reason === "expired"
+      ? "This share has expired."
+      : "This share has reached its play limit.",
+    410,
+    `share_${reason}`
+  );
+}
+
+// 分享相关 KV 键的写入选项，开启 autoDelete 时附带 expirationTtl（KV 要求至少 60 秒）
+function shareKvOptions(metadata, type) {
+  const options = { metadata: { type, timestamp: metadata.timestamp } };
+  if (metadata.autoDelete && metadata.expiresAt) {
+    options.expirationTtl = Math.max(
+      60,
+      Math.ceil((metadata.expiresAt - Date.now()) / 1000) + SHARE_EXPIRED_GRACE
+    );
+  }
+  return options;
+}
+
+async function saveShareMetadata(id, metadata) {
+  await globalThis.TTS_HISTORY.put(
+    `meta_${id}`,
+    JSON.stringify(metadata),
+    shareKvOptions(
+      metadata,
+      metadata.type === "realtime" ? "realtime" : "metadata"
+    )
+  );
+}
+
+async function rewriteShareKeys(id, metadata) {
+  const audio = await globalThis.TTS_HISTORY.get(`audio_${id}`, "arrayBuffer");
+  if (audio) {
+    await globalThis.TTS_HISTORY.put(
+      `audio_${id}`,
+      audio,
+      shareKvOptions(metadata, "audio")
+    );
+  }
+  const subtitles = await globalThis.TTS_HISTORY.get(`subtitles_${id}`);
+  if (subtitles) {
+    await globalThis.TTS_HISTORY.put(
+      `subtitles_${id}`,
+      subtitles,
+      shareKvOptions(metadata, "subtitles")
+    );
+  }
+  if (metadata.shareUUID) {
+    const shareAuth = await globalThis.TTS_HISTORY.get(
+      `share_auth_${metadata.shareUUID}`
+    );
+    if (shareAuth) {
+      await globalThis.TTS_HISTORY.put(
+        `share_auth_${metadata.shareUUID}`,
+        shareAuth,
+        shareKvOptions(metadata, "share_auth")
+      );
+    }
+  }
+}
+
+async function countSharePlay(id, metadata) {
+  if (!metadata.maxViews) return;
+  metadata.views = (metadata.views || 0) + 1;
+  await saveShareMetadata(id, metadata);
+}
+
+// 带管理员 Key 的请求（如历史记录页播放）不受分享期限限制，也不计入播放次数。
+// 未配置 API_KEY 时任何 Bearer 头都能通过校验，因此不视为所有者
+async function isOwnerRequest(request) {
+  if (!globalThis.API_KEY || !request.headers.has("authorization")) {
+    return false;
+  }
+  return !(await checkApiKey(request, "admin")).error;
+}
+
+// =================================================================================
+// Inline Markup Helpers
+// =================================================================================
+
+// 行内拼音注音：重[chong2] 标注单个汉字，{行|hang2} 标注任意词语（多音节用空格分隔）
+const PINYIN_ANNOTATION_PATTERN =
+  /([\u3400-\u9fff])\[([a-zü:]+[1-5])\]|\{([^{}|\n]{1,20})\|([a-zü:]+[1-5](?:\s+[a-zü:]+[1-5])*)\}/gi;
+
+// 转义文本为 SSML：拼音注音转为 sapi <phoneme>，其余部分套用发音词典
+function textToSsml(text, lexicon) {
+  let result = "";
+  let last = 0;
+  for (const match of text.matchAll(PINYIN_ANNOTATION_PATTERN)) {
+    result += applyLexicon(text.slice(last, match.index), lexicon);
+    result += `<phoneme alphabet="sapi" ph="${toSapiPinyin(
+      match[2] || match[4]
+    )}">${escapeXml(match[1] || match[3])}</phoneme>`;
+    last = match.index + match[0].length;
+  }
+  return result + applyLexicon(text.slice(last), lexicon);
+}
+
+// "lü4 xing2" -> "lv 4 xing 2"
+function toSapiPinyin(pinyin) {
+  return pinyin
+    .toLowerCase()
+    .replace(/ü|u:/g, "v")
+    .split(/\s+/)
+    .map((syllable) => syllable.replace(/([1-5])$/, " $1"))
+    .join(" ");
+}
+
+// 轻量停顿/语气标记：[pause]、[pause 800ms]、[pause 1.5s]，以及成对的
+// [slow]…[/slow]、[fast]、[loud]、[soft]、[emphasis]、[whisper]
+const PLAIN_MARKUP_PATTERN =
+  /\[(?:pause(?:\s+(\d+(?:\.\d+)?)\s*(ms|s))?|(\/?)(slow|fast|loud|soft|emphasis|whisper))\]/gi;
+const PLAIN_MARKUP_TAGS = {
+  slow: { element: "prosody", attributes: 'rate="-30%"' },
+  fast: { element: "prosody", attributes: 'rate="+30%"' },
+  loud: { element: "prosody", attributes: 'volume="+50%"' },
+  soft: { element: "prosody", attributes: 'volume="-40%"' },
+  emphasis: { element: "emphasis", attributes: 'level="moderate"' },
+  whisper: { style: "whispering" },
+};
+const DEFAULT_MARKUP_PAUSE = 500;
+const MAX_MARKUP_PAUSE = 20000;
+
+// 把轻量标记转为 SSML 片段 [{ style, content }]。语音风格不能嵌套在 <prosody> 中，
+// 所以遇到 [whisper] 时切出新片段并重新打开外层的 <prosody>/<emphasis>；
+// 未闭合的标记在片段末尾补齐，多余的闭合标记忽略
+function renderPlainMarkup(text, lexicon) {
+  const segments = [];
+  const open = [];
+  let style = null;
+  let content = "";
+  let spoken = false;
+  const openTag = (name) =>
+    `<${PLAIN_MARKUP_TAGS[name].element} ${PLAIN_MARKUP_TAGS[name].attributes}>`;
+  const closeTags = (names) =>
+    names
+      .map((name) => `</${PLAIN_MARKUP_TAGS[name].element}>`)
+      .reverse()
+      .join("");
+  const addText = (piece) => {
+    if (!piece) return;
+    content += textToSsml(piece, lexicon);
+    if (piece.trim()) spoken = true;
+  };
+  const flush = () => {
+    if (spoken) {
+      segments.push({
+        style,
+        content: content + closeTags(open),
+      });
+    }
+    content = open.map(openTag).join("");
+    spoken = false;
+  };
+
+  let last = 0;
+  for (const match of text.matchAll(PLAIN_MARKUP_PATTERN)) {
+    addText(text.slice(last, match.index));
+    last = match.index + match[0].length;
+    const [, amount, unit, closing, tagName] = match;
+    if (!tagName) {
+      content += `<break time="${plainMarkupPause(amount, unit)}ms"/>`;
+      spoken = true;
+      continue;
+    }
+    const name = tagName.toLowerCase();
+    if (PLAIN_MARKUP_TAGS[name].style) {
+      const nextStyle = closing ? null : PLAIN_MARKUP_TAGS[name].style;
+      if (nextStyle !== style) {
+        flush();
+        style = nextStyle;
+      }
+    } else if (!closing) {
+      content += openTag(name);
+      open.push(name);
+    } else {
+      const index = open.lastIndexOf(name);
+      if (index === -1) continue;
+      // 交叉嵌套时先关闭内层，再重新打开
+      const inner = open.splice(index);
+      content += closeTags(inner);
+      for (const other of inner.slice(1)) {
+        content += openTag(other);
+        open.push(other);
+      }
+    }
+  }
+  addText(text.slice(last));
+  flush();
+  return segments.length > 0 ? segments : [{ style: null, content: "" }];
+}
+
+// [pause] 的停顿毫秒数
+function plainMarkupPause(amount, unit) {
+  const ms = amount
+    ? Number(amount) * (unit.toLowerCase() === "s" ? 1000 : 1)
+    : DEFAULT_MARKUP_PAUSE;
+  return Math.round(Math.min(ms, MAX_MARKUP_PAUSE));
+}
+
+// 切分后的每一段单独合成：跨段的成对标记在段尾闭合，并在下一段开头重新打开
+function balancePlainMarkup(chunks) {
+  const open = [];
+  return chunks.map((chunk) => {
+    const prefix = open.map((name) => `[${name}]`).join("");
+    for (const match of chunk.matchAll(PLAIN_MARKUP_PATTERN)) {
+      if (!match[4]) continue;
+      const name = match[4].toLowerCase();
+      if (!match[3]) {
+        open.push(name);
+      } else if (open.lastIndexOf(name) !== -1) {
+        open.splice(open.lastIndexOf(name), 1);
+      }
+    }
+    const suffix = [...open]
+      .reverse()
+      .map((name) => `[/${name}]`)
+      .join("");
+    return prefix + chunk + suffix;
+  });
+}
+
+// 音色名称中的区域，例如 zh-CN-XiaoxiaoNeural -> zh-CN；无法识别时返回空串
+function voiceLocale(voiceName) {
+  const match = /^([a-z]{2,3}-[a-z]{2,4})/i.exec(voiceName || "");
+  return match ? match[1] : "";
+}
+
+// 去掉注音与轻量标记只保留原文，用于字幕和分享页展示
+function stripInlineMarkup(text) {
+  return String(text || "")
+    .replace(
+      PINYIN_ANNOTATION_PATTERN,
+      (match, char, pinyin, word) => char || word
+    )
+    .replace(PLAIN_MARKUP_PATTERN, "");
+}
+
+// =================================================================================
+// SSML Helpers
+// =================================================================================
+
+const SSML_ELEMENTS = new Set([
+  "speak",
+  "voice",
+  "prosody",
+  "break",
+  "emphasis",
+  "say-as",
+  "phoneme",
+  "sub",
+  "p",
+  "s",
+  "lang",
+  "audio",
+  "bookmark",
+  "lexicon",
+  "math",
+  "mstts:express-as",
+  "mstts:silence",
+  "mstts:viseme",
+  "mstts:audioduration",
+  "mstts:backgroundaudio",
+  "mstts:ttsembedding",
+]);
+
+function looksLikeSsml(input) {
+  return /^\s*(<\?xml[^>]*\?>\s*)?<speak[\s>]/.test(input);
+}
+
+// 极简 XML 解析器：只接受合法的 SSML 文档，返回 <speak> 根节点。
+// 元素节点为 { name, attrs: [[key, value]], children }，文本节点为 { text }
+function parseSsml(source) {
+  let pos = 0;
+  const fail = (message, at = pos) => {
+    throw new Error(`Invalid SSML at position ${at}: ${message}`);
+  };
+  const document = { name: "#document", attrs: [], children: [] };
+  const stack = [document];
+  const startTag =
+    /<([A-Za-z_][\w.:-]*)((?:\s+[A-Za-z_][\w.:-]*\s*=\s*(?:"[^"<]*"|'[^'<]*'))*)\s*(\/?)>/y;
+  const endTag = /<\/([A-Za-z_][\w.:-]*)\s*>/y;
+
+  while (pos < source.length) {
+    const parent = stack[stack.length - 1];
+    const lt = source.indexOf("<", pos);
+    const textEnd = lt === -1 ? source.length : lt;
+
+    if (textEnd > pos) {
+      const raw = source.slice(pos, textEnd);
+      if (parent === document) {
+        if (raw.trim()) fail("text outside the <speak> root element");
+      } else {
+        parent.children.push({ text: decodeXmlEntities(raw, fail, pos) });
+      }
+      pos = textEnd;
+      continue;
+    }
+
+    if (source.startsWith("<!--", pos)) {
+      const end = source.indexOf("-->", pos + 4);
+      if (end === -1) fail("unterminated comment");
+      pos = end + 3;
+    } else if (source.startsWith("<![CDATA[", pos)) {
+      const end = source.indexOf("]]>", pos + 9);
+      if (end === -1) fail("unterminated CDATA section");
+      if (parent === document) fail("CDATA outside the <speak> root element");
+      parent.children.push({ text: source.slice(pos + 9, end) });
+      pos = end + 3;
+    } else if (source.startsWith("<?", pos)) {
+      const end = source.indexOf("?>", pos + 2);
+      if (end === -1) fail("unterminated processing instruction");
+      pos = end + 2;
+    } else if (source.startsWith("<!", pos)) {
+      fail("DOCTYPE and entity declarations are not allowed");
+    } else if (source.startsWith("</", pos)) {
+      endTag.lastIndex = pos;
+      const match = endTag.exec(source);
+      if (!match) fail("malformed closing tag");
+      if (parent === document || parent.name !== match[1]) {
+        fail(
+          parent === document
+            ? `unexpected closing tag </${match[1]}>`
+            : `expected </${parent.name}> but found </${match[1]}>`
+        );
+      }
+      stack.pop();
+      pos = endTag.lastIndex;
+    } else {
+      startTag.lastIndex = pos;
+      const match = startTag.exec(source);
+      if (!match) fail("malformed tag or attribute");
+      const name = match[1];
+      if (!SSML_ELEMENTS.has(name)) fail(`unsupported element <${name}>`);
+      if (parent === document && document.children.length > 0) {
+        fail("only one root element is allowed");
+      }
+      const attrs = [];
+      const attrPattern = /([A-Za-z_][\w.:-]*)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+      let attr;
+      while ((attr = attrPattern.exec(match[2]))) {
+        if (attrs.some(([key]) => key === attr[1])) {
+          fail(`duplicate attribute '${attr[1]}' on <${name}>`);
+        }
+        attrs.push([attr[1], decodeXmlEntities(attr[2] ?? attr[3], fail, pos)]);
+      }
+      const element = { name, attrs, children: [] };
+      parent.children.push(element);
+      if (!match[3]) stack.push(element);
+      pos = startTag.lastIndex;
+    }
+  }
+
+  if (stack.length > 1)
+    fail(`unclosed element <${stack[stack.length - 1].name}>`);
+  const speak = document.children[0];
+  if (!speak) fail("missing <speak> root element", 0);
+  if (speak.name !== "speak") fail("root element must be <speak>", 0);
+  return speak;
+}
+
+function decodeXmlEntities(raw, fail, at) {
+  return raw.replace(/&([^;&\s]*);?/g, (entity, body) => {
+    const named = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+    if (entity.endsWith(";")) {
+      if (named[body]) return named[body];
+      const code = /^#x[0-9a-f]+$/i.test(body)
+        ? parseInt(body.slice(2), 16)
+        : /^#\d+$/.test(body)
+        ? parseInt(body.slice(1), 10)
+        : NaN;
+      if (code >= 0 && code <= 0x10ffff) return String.fromCodePoint(code);
+    }
+    return fail(`invalid entity '${entity}'`, at);
+  });
+}
+
+// 补齐 Edge TTS 需要的根属性，并把不在 <voice> 中的内容包进默认音色
+function normalizeSsmlRoot(speak, defaultVoice) {
+  const defaults = [
+    ["version", "1.0"],
+    ["xmlns", "http://www.w3.org/2001/10/synthesis"],
+    ["xmlns:mstts", "http://www.w3.org/2001/mstts"],
+    ["xml:lang", voiceLocale(defaultVoice) || "zh-CN"],
+  ];
+  const attrs = [...speak.attrs];
+  for (const [key, value] of defaults) {
+    if (!attrs.some(([k]) => k === key)) attrs.push([key, value]);
+  }
+
+  const children = [];
+  let loose = [];
+  const flushLoose = () => {
+    if (loose.some((c) => c.name || c.text.trim())) {
+      children.push({
+        name: "voice",
+        attrs: [["name", defaultVoice]],
+        children: loose,
+      });
+    }
+    loose = [];
+  };
+  for (const child of speak.children) {
+    if (child.name === "voice") {
+      flushLoose();
+      children.push(child);
+    } else {
+      loose.push(child);
+    }
+  }
+  flushLoose();
+  return { name: "speak", attrs, children };
+}
+
+function ssmlTextLength(node) {
+  if (node.text !== undefined) return node.text.length;
+  return node.children.reduce((sum, c) => sum + ssmlTextLength(c), 0);
+}
+
+// 按文本长度切分 SSML：超长的元素会被拆成多个带相同属性的副本，
+// 每段都重新包上完整的祖先元素，因此每段都是一个合法的 <speak> 文档
+function splitSsml(speak, maxLength) {
+  return splitSsmlNode(speak, maxLength).map(serializeSsml);
+}
+
+function splitSsmlNode(node, maxLength) {
+  if (ssmlTextLength(node) <= maxLength) return [node];
+  if (node.text !== undefined) {
+    return splitText(node.text, maxLength).map((text) => ({ text }));
+  }
+  const parts = [];
+  let current = [];
+  let currentLength = 0;
+  for (const child of node.children) {
+    for (const piece of splitSsmlNode(child, maxLength)) {
+      const length = ssmlTextLength(piece);
+      if (current.length > 0 && currentLength + length > maxLength) {
+        parts.push({ ...node, children: current });
+        current = [];
+        currentLength = 0;
+      }
+      current.push(piece);
+      currentLength += length;
+    }
+  }
+  if (current.length > 0) parts.push({ ...node, children: current });
+  return parts;
+}
+
+function ssmlTextContent(node) {
+  if (node.text !== undefined) return node.text;
+  return node.children.map(ssmlTextContent).join("");
+}
+
+function serializeSsml(node) {
+  if (node.text !== undefined) return escapeXml(node.text);
+  const attrs = node.attrs
+    .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+    .join("");
+  if (node.children.length === 0) return `<${node.name}${attrs}/>`;
+  return `<${node.name}${attrs}>${node.children.map(serializeSsml).join("")}</${
+    node.name
+  }>`;
+}
+
+// =================================================================================
+// Dialogue Script Helpers
+// =================================================================================
+
+// 对白脚本：每行以 [角色名] 开头，未带标签的行并入上一句；也可直接传入
+// [{ speaker, text }] 数组。每句用各自的音色/风格/语速合成为 SSML 中的一个 <voice>
+// 行首的 [pause]、[slow] 等轻量标记不是角色名
+const SCRIPT_LINE_PATTERN =
+  /^\s*\[(?!\/?(?:slow|fast|loud|soft|emphasis|whisper)\]|pause(?:\s+\d+(?:\.\d+)?\s*m?s)?\])([^\]\n]{1,40})\]\s*(.*)$/i;
+const MAX_VOICES_PER_SSML = 40; // 上游限制单个 SSML 中 <voice> 元素的数量
+const DEFAULT_TURN_PAUSE = 400;
+
+function looksLikeScript(input) {
+  return (
+    typeof input === "string" &&
+    input.split("\n").some((line) => SCRIPT_LINE_PATTERN.test(line))
+  );
+}
+
+function parseDialogueScript(input) {
+  if (Array.isArray(input)) {
+    return input.map((turn, index) => {
+      if (!turn || typeof turn.text !== "string") {
+        throw new Error(`Script turn ${index} must be an object with 'text'.`);
+      }
+      return turn;
+    });
+  }
+  const turns = [];
+  for (const line of String(input).split("\n")) {
+    const match = line.match(SCRIPT_LINE_PATTERN);
+    if (match) {
+      turns.push({ speaker: match[1].trim(), text: match[2] });
+    } else if (turns.length > 0) {
+      turns[turns.length - 1].text += "\n" + line;
+    } else if (line.trim()) {
+      // 第一个标签之前的内容使用默认音色朗读
+      turns.push({ speaker: null, text: line });
+    }
+  }
+  return turns;
+}
+
+// 中文小说的对白：“……”、「……」、『……』，不跨行
+const DIALOGUE_QUOTE_PATTERN = /“[^”\n]*”|「[^」\n]*」|『[^』\n]*』/g;
+
+// 把小说文本拆成旁白/对白交替的脚本句子，对白句带上 dialogue options 中设置了的字段
+function splitNarrationDialogue(text, options) {
+  const overrides = {};
+  for (const key of [
+    "voice",
+    "style",
+    "role",
+    "styleDegree",
+    "speed",
+    "pitch",
+  ]) {
+    if (
+      options[key] !== null &&
+      options[key] !== undefined &&
+      options[key] !== ""
+    )
+      overrides[key] = options[key];
+  }
+  const turns = [];
+  let last = 0;
+  for (const match of String(text).matchAll(DIALOGUE_QUOTE_PATTERN)) {
+    if (match.index > last) turns.push({ text: text.slice(last, match.index) });
+    turns.push({ text: match[0], ...overrides });
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) turns.push({ text: text.slice(last) });
+  return turns;
+}
+
+// 合并每句的设置：请求级默认值 < speakers[speaker] < 句子自身 (仅 JSON 格式)
+function resolveScriptTurn(turn, speakers, defaults) {
+  let profile = {};
+  if (turn.speaker !== null && turn.speaker !== undefined) {
+    const name = String(turn.speaker);
+    // 角色名不区分大小写
+    const key = Object.keys(speakers).find(
+      (k) => k.toLowerCase() === name.toLowerCase()
+    );
+    const found = key === undefined ? undefined : speakers[key];
+    if (found === undefined && !turn.voice) {
+      throw new Error(`Unknown speaker '${name}'. Add it to 'speakers'.`);
+    }
+    profile = typeof found === "string" ? { voice: found } : found || {};
+  }
+  const { speaker, text, ...overrides } = turn;
+  const settings = { ...defaults, ...profile, ...overrides };
+  return {
+    ...settings,
+    voice: resolveVoiceName("tts-1", settings.voice),
+  };
+}
+
+// 返回若干个 SSML 文档，每个最多 MAX_VOICES_PER_SSML 句，句与句之间插入 pause 毫秒停顿。
+// 传入 languageVoices 时每句再按语言拆开，分别使用对应音色
+function buildScriptSsml(
+  input,
+  speakers,
+  defaults,
+  pause,
+  cleaningOptions,
+  lexicon = [],
+  languageVoices = null
+) {
+  const turns = parseDialogueScript(input)
+    .map((turn) => ({
+      ...turn,
+      text: cleanText(turn.text, cleaningOptions).trim(),
+    }))
+    .filter((turn) => turn.text);
+  if (turns.length === 0) throw new Error("Script contains no speakable text.");
+
+  const voices = turns.flatMap((turn, index) => {
+    const settings = resolveScriptTurn(turn, speakers, defaults);
+    const parts = languageVoices
+      ? splitByLanguage(turn.text, settings.voice, languageVoices)
+      : [{ text: turn.text, voice: settings.voice }];
+    const texts = balancePlainMarkup(parts.map((part) => part.text));
+    return parts.map((part, partIndex) => {
+      const content = buildExpressiveSsml(
+        texts[partIndex],
+        ((settings.speed - 1) * 100).toFixed(0),
+        ((settings.pitch - 1) * 100).toFixed(0),
+        settings.style,
+        settings.role,
+        settings.styleDegree,
+        lexiconForVoice(lexicon, part.voice)
+      );
+      const gap =
+        pause > 0 && index < turns.length - 1 && partIndex === parts.length - 1
+          ? `<break time="${pause}ms"/>`
+          : "";
+      return `<voice name="${escapeXml(part.voice)}">${content}${gap}</voice>`;
+    });
+  });
+
+  const documents = [];
+  for (let i = 0; i < voices.length; i += MAX_VOICES_PER_SSML) {
+    documents.push(
+      `<speak>${voices.slice(i, i + MAX_VOICES_PER_SSML).join("")}</speak>`
+    );
+  }
+  return documents;
+}
+
+// auto_language: true 使用默认音色表，对象则覆盖其中的语言；false 返回 null，格式错误返回 undefined
+function resolveLanguageVoices(autoLanguage) {
+  if (!autoLanguage) return null;
+  if (autoLanguage === true) return { ...DEFAULT_LANGUAGE_VOICES };
+  if (typeof autoLanguage !== "object" || Array.isArray(autoLanguage)) {
+    return undefined;
+  }
+  const voices = { ...DEFAULT_LANGUAGE_VOICES };
+  for (const [language, voice] of Object.entries(autoLanguage)) {
+    if (!(language in DEFAULT_LANGUAGE_VOICES) || typeof voice !== "string") {
+      return undefined;
+    }
+    if (voice.trim())
+      voices[language] = resolveVoiceName("tts-1", voice.trim());
+  }
+  return voices;
+}
+
+// 按文字判断一句话的语言：含假名为日语，含汉字为中文，含谚文为韩语，含拉丁字母为英语；
+// 只有数字和标点时返回 null
+function detectLanguage(sentence) {
+  const text = stripInlineMarkup(sentence);
+  if (/[\u3040-\u30ff]/.test(text)) return "ja";
+  if (/[\u3400-\u9fff]/.test(text)) return "zh";
+  if (/[\uac00-\ud7af\u1100-\u11ff]/.test(text)) return "ko";
+  if (/[A-Za-z]/.test(text)) return "en";
+  return null;
+}
+
+// 把文本按句拆成 [{ text, voice }]：与 voice 同语言的句子保留原音色，其余换成
+// languageVoices 中的音色；相邻同音色的句子合并，无法判断语言的句子并入相邻句
+function splitByLanguage(text, voice, languageVoices) {
+  const ownLanguage = voiceLocale(voice).split("-")[0].toLowerCase();
+  const parts = [];
+  let leading = "";
+  for (const sentence of splitSentences(text)) {
+    const language = detectLanguage(sentence);
+    const last = parts[parts.length - 1];
+    if (language === null) {
+      if (last) last.text += sentence;
+      else leading += sentence;
+      continue;
+    }
+    const partVoice =
+      language === ownLanguage ? voice : languageVoices[language] || voice;
+    if (last && last.voice === partVoice) {
+      last.text += sentence;
+    } else {
+      parts.push({ text: leading + sentence, voice: partVoice });
+      leading = "";
+    }
+  }
+  return parts.length > 0 ? parts : [{ text: leading, voice }];
+}
+
+// =================================================================================
+// Subtitle Helpers
+// =================================================================================
+
+// 单条字幕的最大字符数，超出时在逗号等分句处继续拆分
+const MAX_SUBTITLE_CUE_LENGTH = 40;
+
+// Edge TTS 的 REST 接口不返回 WordBoundary 事件，因此以每段音频的实际时长为准，
+// 按字符数把时长分配给段内各句。段与段之间的偏移直接累加，长文本也不会漂移
+function buildSubtitleCues(chunkTexts, durations) {
+  const cues = [];
+  let offset = 0;
+  chunkTexts.forEach((text, i) => {
+    const pieces = splitSentences(text)
+      .flatMap((sentence) => splitLongCue(sentence.trim()))
+      .filter((piece) => piece);
+    const weights = pieces.map(
+      (piece) => piece.replace(/[\s\p{P}]/gu, "").length || 1
+    );
+    const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+    let start = offset;
+    pieces.forEach((piece, j) => {
+      const end = start + (durations[i] * weights[j]) / totalWeight;
+      cues.push({
+        start: Math.round(start * 1000) / 1000,
+        end: Math.round(end * 1000) / 1000,
+        text: piece,
+      });
+      start = end;
+    });
+    offset += durations[i];
+  });
+  return cues;
+}
+
+function splitLongCue(sentence) {
+  if (sentence.length <= MAX_SUBTITLE_CUE_LENGTH) return [sentence];
+  const clauses = sentence.match(/[^，,、：:]+[，,、：:]*|[，,、：:]+/g) || [];
+  const pieces = [];
+  let current = "";
+  for (const clause of clauses) {
+    if (current && current.length + clause.length > MAX_SUBTITLE_CUE_LENGTH) {
+      pieces.push(current.trim());
+      current = "";
+    }
+    current += clause;
+  }
+  if (current.trim()) pieces.push(current.trim());
+  // 没有可断开的标点时按长度硬切（按码点切分，避免拆开代理对）
+  return pieces.flatMap((piece) => {
+    const chars = Array.from(piece);
+    if (chars.length <= MAX_SUBTITLE_CUE_LENGTH) return [piece];
+    const parts = [];
+    for (let i = 0; i < chars.length; i += MAX_SUBTITLE_CUE_LENGTH) {
+      parts.push(chars.slice(i, i + MAX_SUBTITLE_CUE_LENGTH).join(""));
+    }
+    return parts;
+  });
+}
+
+function renderSubtitles(cues, format) {
+  const timestamp = (seconds, separator) => {
+    const ms = Math.round(seconds * 1000);
+    const pad = (n, width = 2) => String(n).padStart(width, "0");
+    return `${pad(Math.floor(ms / 3600000))}:${pad(
+      Math.floor(ms / 60000) % 60
+    )}:${pad(Math.floor(ms / 1000) % 60)}${separator}${pad(ms % 1000, 3)}`;
+  };
+  if (format === "vtt") {
+    return (
+      "WEBVTT\n\n" +
+      cues
+        .map(
+          (cue) =>
+            `${timestamp(cue.start, ".")} --> ${timestamp(cue.end, ".")}\n${
+              cue.text
+            }\n`
+        )
+        .join("\n")
+    );
+  }
+  return cues
+    .map(
+      (cue, i) =>
+        `${i + 1}\n${timestamp(cue.start, ",")} --> ${timestamp(
+          cue.end,
+          ","
+        )}\n${cue.text}\n`
+    )
+    .join("\n");
+}
+
+// =================================================================================
+// Audio Format & Container Helpers
+// =================================================================================
+
+function resolveAudioFormat(responseFormat, model) {
+  const name = String(responseFormat || "mp3").toLowerCase();
+  const format = AUDIO_FORMATS[name];
+  if (!format) return null;
+  const outputFormat =
+    model === "tts-1-hd" ? format.hdOutputFormat : format.outputFormat;
+  const khz = /(\d+)khz/.exec(outputFormat);
+  return {
+    name,
+    container: format.container,
+    extension: format.extension,
+    contentType: format.contentType,
+    outputFormat,
+    sampleRate: khz ? parseInt(khz[1], 10) * 1000 : 24000,
+  };
+}
+
+// 将多段音频拼接为一个完整文件（标准模式，总长度已知）
+function assembleAudio(audioChunks, audioFormat) {
+  const pcmLength = audioChunks.reduce((sum, c) => sum + c.length, 0);
+  const assembler = createAudioAssembler(audioFormat, pcmLength);
+  return concatBytes(
+    audioChunks.map((chunk, i) =>
+      assembler.push(chunk, i === audioChunks.length - 1)
+    )
+  );
+}
+
+// 逐段封装音频。push(bytes, isLast) 返回本段应输出的字节。
+// pcmLength 为 null 表示流式输出，此时 WAV/FLAC 文件头写入"长度未知"
+function createAudioAssembler(audioFormat, pcmLength = null) {
+  switch (audioFormat.container) {
+    case "wav": {
+      let headerSent = false;
+      return {
+        push(bytes) {
+          if (headerSent) return bytes;
+          headerSent = true;
+          return concatBytes([
+            buildWavHeader(audioFormat.sampleRate, pcmLength),
+            bytes,
+          ]);
+        },
+      };
+    }
+    case "flac":
+      return createFlacEncoder(
+        audioFormat.sampleRate,
+        pcmLength === null ? 0 : pcmLength / 2
+      );
+    case "ogg":
+      return createOggRemuxer();
+    default:
+      // mp3 帧可直接拼接，pcm 无文件头
+      return { push: (bytes) => bytes };
+  }
+}
+
+// 计算单段上游音频的播放时长（秒）
+function getAudioDuration(bytes, audioFormat) {
+  switch (audioFormat.container) {
+    case "mp3":
+      return getMp3Duration(bytes);
+    case "ogg": {
+      const pages = parseOggPages(bytes);
+      const head = pages.length > 0 ? pages[0].body : null;
+      const preSkip =
+        head && head.length >= 12 ? head[10] | (head[11] << 8) : 0;
+      const last = [...pages].reverse().find((page) => page.granule >= 0);
+      // Opus 的 granule 始终以 48kHz 计
+      return last ? Math.max(0, last.granule - preSkip) / 48000 : 0;
+    }
+    default:
+      // wav/flac/pcm 上游均为 16bit 单声道 PCM
+      return bytes.length / 2 / audioFormat.sampleRate;
+  }
+}
+
+const MP3_BITRATES_V1 = [
+  0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320,
+];
+const MP3_BITRATES_V2 = [
+  0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160,
+];
+
+// 逐帧解析 MPEG Layer III 帧头，累加采样数
+function getMp3Duration(bytes) {
+  let offset = 0;
+  // 跳过 ID3v2 标签
+  if (bytes[0] === 0x49 && bytes[1] === 0x44 && bytes[2] === 0x33) {
+    offset =
+      10 +
+      (((bytes[6] & 0x7f) << 21) |
+        ((bytes[7] & 0x7f) << 14) |
+        ((bytes[8] & 0x7f) << 7) |
+        (bytes[9] & 0x7f));
+  }
+  let samples = 0;
+  let sampleRate = 0;
+  while (offset + 4 <= bytes.length) {
+    if (bytes[offset] !== 0xff || (bytes[offset + 1] & 0xe0) !== 0xe0) {
+      offset++;
+      continue;
+    }
+    const version = (bytes[offset + 1] >> 3) & 0x03; // 3=MPEG1, 2=MPEG2, 0=MPEG2.5
+    const layer = (bytes[offset + 1] >> 1) & 0x03; // 1=Layer III
+    const bitrateIndex = bytes[offset + 2] >> 4;
+    const rateIndex = (bytes[offset + 2] >> 2) & 0x03;
+    const padding = (bytes[offset + 2] >> 1) & 0x01;
+    if (
+      version === 1 ||
+      layer !== 1 ||
+      bitrateIndex === 0 ||
+      bitrateIndex === 15 ||
+      rateIndex === 3
+    ) {
+      offset++;
+      continue;
+    }
+    const mpeg1 = version === 3;
+    const bitrate =
+      (mpeg1 ? MP3_BITRATES_V1 : MP3_BITRATES_V2)[bitrateIndex] * 1000;
+    sampleRate =
+      [44100, 48000, 32000][rateIndex] / (mpeg1 ? 1 : version === 2 ? 2 : 4);
+    const frameSamples = mpeg1 ? 1152 : 576;
+    samples += frameSamples;
+    offset += Math.floor(((frameSamples / 8) * bitrate) / sampleRate) + padding;
+  }
+  return sampleRate ? samples / sampleRate : 0;
+}
+
+// 生成与上游同格式的一段静音（未经 assembler 封装）
+function createSilence(audioFormat, ms) {
+  switch (audioFormat.container) {
+    case "mp3": {
+      // 侧信息与主数据全零的 Layer III 帧解码为静音
+      const sampleRate = audioFormat.sampleRate;
+      const mpeg1 = sampleRate >= 32000;
+      const kbps = parseInt(
+        /(\d+)kbitrate/.exec(audioFormat.outputFormat)[1],
+        10
+      );
+      const frameSamples = mpeg1 ? 1152 : 576;
+      const frame = new Uint8Array(
+        Math.floor(((frameSamples / 8) * kbps * 1000) / sampleRate)
+      );
+      frame[0] = 0xff;
+      frame[1] = mpeg1 ? 0xfb : 0xf3; // Layer III，无 CRC
+      frame[2] =
+        ((mpeg1 ? MP3_BITRATES_V1 : MP3_BITRATES_V2).indexOf(kbps) << 4) |
+        ([44100, 48000, 32000].indexOf(mpeg1 ? sampleRate : sampleRate * 2) <<
+          2);
+      frame[3] = 0xc0; // 单声道
+      const frames = Math.max(
+        1,
+        Math.round(((ms / 1000) * sampleRate) / frameSamples)
+      );
+      return concatBytes(Array.from({ length: frames }, () => frame));
+    }
+    case "ogg": {
+      // 独立的 Ogg Opus 流：OpusHead、OpusTags，以及若干 20ms 的 CELT 静音包
+      const head = new Uint8Array(19);
+      head.set(encodeAscii("OpusHead"));
+      head[8] = 1; // version
+      head[9] = 1; // channels
+      new DataView(head.buffer).setUint32(12, audioFormat.sampleRate, true);
+      const tags = concatBytes([encodeAscii("OpusTags"), new Uint8Array(8)]);
+      const packets = Math.max(1, Math.min(255, Math.round(ms / 20)));
+      const serial = 0x5eed;
+      return concatBytes([
+        buildOggPage(0x02, 0, serial, 0, [head.length], head),
+        buildOggPage(0, 0, serial, 1, [tags.length], tags),
+        buildOggPage(
+          0x04,
+          packets * 960,
+          serial,
+          2,
+          new Array(packets).fill(3),
+          concatBytes(
+            Array.from({ length: packets }, () =>
+              Uint8Array.of(0xf8, 0xff, 0xfe)
+            )
+          )
+        ),
+      ]);
+    }
+    default:
+      // wav/flac/pcm：16bit 单声道 PCM
+      return new Uint8Array(
+        Math.round((audioFormat.sampleRate * ms) / 1000) * 2
+      );
+  }
+}
+
+function encodeAscii(text) {
+  return Uint8Array.from(text, (c) => c.charCodeAt(0));
+}
+
+function concatBytes(parts) {
+  const total = parts.reduce((sum, p) => sum + p.length, 0);
+  const out = new Uint8Array(total);
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
+
+function buildWavHeader(sampleRate, dataLength) {
+  const header = new Uint8Array(44);
+  const view = new DataView(header.buffer);
+  const writeTag = (offset, tag) => {
+    for (let i = 0; i < 4; i++) header[offset + i] = tag.charCodeAt(i);
+  };
+  // 长度未知时按惯例写入 0xFFFFFFFF，播放器会读到流结束为止
+  const unknown = dataLength === null;
+  writeTag(0, "RIFF");
+  view.setUint32(4, unknown ? 0xffffffff : 36 + dataLength, true);
+  writeTag(8, "WAVE");
+  writeTag(12, "fmt ");
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, 1, true); // mono
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * 2, true);
+  view.setUint16(32, 2, true);
+  view.setUint16(34, 16, true);
+  writeTag(36, "data");
+  view.setUint32(40, unknown ? 0xffffffff : dataLength, true);
+  return header;
+}
+
+// 将 16bit 小端单声道 PCM 编码为 FLAC（verbatim 子帧，不做压缩，但文件完全合法）
+function createFlacEncoder(sampleRate, totalSamples) {
+  const BLOCK_SIZE = 4096;
+  const SAMPLE_RATE_CODES = {
+    8000: 4,
+    16000: 5,
+    22050: 6,
+    24000: 7,
+    32000: 8,
+    44100: 9,
+    48000: 10,
+  };
+  let pending = new Uint8Array(0);
+  let frameNumber = 0;
+  let headerSent = false;
+
+  const streamHeader = () => {
+    const out = new Uint8Array(42);
+    out.set([0x66, 0x4c, 0x61, 0x43]); // "fLaC"
+    out.set([0x80, 0x00, 0x00, 34], 4); // 最后一个元数据块：STREAMINFO，长度 34
+    const info = new DataView(out.buffer, 8);
+    info.setUint16(0, BLOCK_SIZE);
+    info.setUint16(2, BLOCK_SIZE);
+    // 最小/最大帧长写 0 表示未知；MD5 全 0 表示未计算
+    info.setUint8(10, (sampleRate >> 12) & 0xff);
+    info.setUint8(11, (sampleRate >> 4) & 0xff);
+    // 采样率低 4 位 | 声道数-1 (0) | 位深-1 (15) 的最高位
+    info.setUint8(12, ((sampleRate & 0x0f) << 4) | (15 >> 4));
+    info.setUint8(
+      13,
+      ((15 & 0x0f) << 4) | (Math.floor(totalSamples / 0x100000000) & 0x0f)
+    );
+    info.setUint32(14, totalSamples >>> 0);
+    return out;
+  };
+
+  const encodeFrame = (pcm) => {
+    if (!SAMPLE_RATE_CODES[sampleRate]) {
+      throw new Error(`Unsupported FLAC sample rate: ${sampleRate}`);
+    }
+    const samples = pcm.length / 2;
+    const header = [
+      0xff,
+      0xf8,
+      (0x7 << 4) | SAMPLE_RATE_CODES[sampleRate], // 块大小取自帧头末尾 16 位
+      0x08, // 单声道，16bit
+      ...encodeUtf8Number(frameNumber++),
+      ((samples - 1) >> 8) & 0xff,
+      (samples - 1) & 0xff,
+    ];
+    header.push(crc8(header));
+    const frame = new Uint8Array(header.length + 1 + pcm.length + 2);
+    frame.set(header);
+    frame[header.length] = 0x02; // verbatim 子帧
+    // FLAC 样本为大端序
+    for (let i = 0, o = header.length + 1; i < pcm.length; i += 2, o += 2) {
+      frame[o] = pcm[i + 1];
+      frame[o + 1] = pcm[i];
+    }
+    const crc = crc16(frame.subarray(0, frame.length - 2));
+    frame[frame.length - 2] = crc >> 8;
+    frame[frame.length - 1] = crc & 0xff;
+    return frame;
+  };
+
+  return {
+    push(bytes, isLast) {
+      const parts = [];
+      if (!headerSent) {
+        headerSent = true;
+        parts.push(streamHeader());
+      }
+      const data = concatBytes([pending, bytes]);
+      const blockBytes = BLOCK_SIZE * 2;
+      let offset = 0;
+      while (data.length - offset >= blockBytes) {
+        parts.push(encodeFrame(data.subarray(offset, offset + blockBytes)));
+        offset += blockBytes;
+      }
+      pending = data.slice(offset);
+      if (isLast && pending.length >= 2) {
+        parts.push(encodeFrame(pending.subarray(0, pending.length & ~1)));
+        pending = new Uint8Array(0);
+      }
+      return concatBytes(parts);
+    },
+  };
+}
+
+// FLAC 帧号使用类 UTF-8 的变长编码
+function encodeUtf8Number(n) {
+  if (n < 0x80) return [n];
+  const bytes = [];
+  let lead = 0xc0;
+  let limit = 0x20;
+  for (;;) {
+    bytes.unshift(0x80 | (n & 0x3f));
+    n = Math.floor(n / 64);
+    if (n < limit) break;
+    lead = 0x80 | (lead >> 1);
+    limit >>= 1;
+  }
+  bytes.unshift(lead | n);
+  return bytes;
+}
+
+function crc8(bytes) {
+  let crc = 0;
+  for (const b of bytes) {
+    crc ^= b;
+    for (let i = 0; i < 8; i++) {
+      crc = crc & 0x80 ? ((crc << 1) ^ 0x07) & 0xff : (crc << 1) & 0xff;
+    }
+  }
+  return crc;
+}
+
+function crc16(bytes) {
+  let crc = 0;
+  for (const b of bytes) {
+    crc ^= b << 8;
+    for (let i = 0; i < 8; i++) {
+      crc = crc & 0x8000 ? ((crc << 1) ^ 0x8005) & 0xffff : (crc << 1) & 0xffff;
+    }
+  }
+  return crc;
+}
+
+// 每段 Edge TTS 返回的都是完整的 Ogg Opus 流。直接拼接会得到"链式 Ogg"，
+// 很多播放器只播放第一段，这里把后续段的页面重写进第一段的逻辑流中：
+// 丢弃后续段的 OpusHead/OpusTags，统一序列号、页序号和 granule 位置并重算校验
+function createOggRemuxer() {
+  let serial = null;
+  let pageSequence = 0;
+  let granuleOffset = 0;
+
+  return {
+    push(bytes, isLast) {
+      const pages = parseOggPages(bytes);
+      const out = [];
+      let packetsDone = 0;
+      let lastGranule = 0;
+      const firstStream = serial === null;
+      if (firstStream && pages.length > 0) serial = pages[0].serial;
+
+      pages.forEach((page, index) => {
+        const isHeaderPage = packetsDone < 2;
+        packetsDone += page.lacing.filter((v) => v < 255).length;
+        if (page.granule >= 0) lastGranule = page.granule;
+        if (isHeaderPage && !firstStream) return;
+
+        let flags = page.flags & ~0x06;
+        if (firstStream && index === 0) flags |= 0x02; // BOS
+        if (isLast && index === pages.length - 1) flags |= 0x04; // EOS
+        const granule =
+          page.granule >= 0 && !isHeaderPage
+            ? granuleOffset + page.granule
+            : page.granule;
+        out.push(
+          buildOggPage(
+            flags,
+            granule,
+            serial,
+            pageSequence++,
+            page.lacing,
+            page.body
+          )
+        );
+      });
+      granuleOffset += lastGranule;
+      return concatBytes(out);
+    },
+  };
+}
+
+function parseOggPages(bytes) {
+  const pages = [];
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let offset = 0;
+  while (offset + 27 <= bytes.length) {
+    if (view.getUint32(offset) !== 0x4f676753) {
+      throw new Error("Invalid Ogg page in upstream audio");
+    }
+    const segments = bytes[offset + 26];
+    const lacing = Array.from(
+      bytes.subarray(offset + 27, offset + 27 + segments)
+    );
+    const bodyLength = lacing.reduce((sum, v) => sum + v, 0);
+    const bodyStart = offset + 27 + segments;
+    const low = view.getUint32(offset + 6, true);
+    const high = view.getInt32(offset + 10, true);
+    pages.push({
+      flags: bytes[offset + 5],
+      // granule 为 -1 表示该页没有结束的包
+      granule:
+        high === -1 && low === 0xffffffff ? -1 : high * 0x100000000 + low,
+      serial: view.getUint32(offset + 14, true),
+      lacing,
+      body: bytes.subarray(bodyStart, bodyStart + bodyLength),
+    });
+    offset = bodyStart + bodyLength;
+  }
+  return pages;
+}
+
+function buildOggPage(flags, granule, serial, sequence, lacing, body) {
+  const page = new Uint8Array(27 + lacing.length + body.length);
+  const view = new DataView(page.buffer);
+  view.setUint32(0, 0x4f676753); // "OggS"
+  page[5] = flags;
+  if (granule < 0) {
+    view.setUint32(6, 0xffffffff, true);
+    view.setUint32(10, 0xffffffff, true);
+  } else {
+    view.setUint32(6, granule >>> 0, true);
+    view.setUint32(10, Math.floor(granule / 0x100000000), true);
+  }
+  view.setUint32(14, serial, true);
+  view.setUint32(18, sequence, true);
+  page[26] = lacing.length;
+  page.set(lacing, 27);
+  page.set(body, 27 + lacing.length);
+  view.setUint32(22, oggCrc32(page), true);
+  return page;
+}
+
+let oggCrcTable = null;
+function oggCrc32(bytes) {
+  if (!oggCrcTable) {
+    oggCrcTable = new Uint32Array(256);
+    for (let i = 0; i < 256; i++) {
+      let r = i << 24;
+      for (let j = 0; j < 8; j++) {
+        r = r & 0x80000000 ? (r << 1) ^ 0x04c11db7 : r << 1;
+      }
+      oggCrcTable[i] = r >>> 0;
+    }
+  }
+  let crc = 0;
+  for (const b of bytes) {
+    crc = ((crc << 8) ^ oggCrcTable[((crc >>> 24) ^ b) & 0xff]) >>> 0;
+  }
+  return crc;
+}
+
+// =================================================================================
+// Batch Synthesis Jobs
+// =================================================================================
+
+// 批量任务的输入被切分为不超过 MAX_CHUNK_SIZE 的片段 (segment)，任务状态、输入文本和每个
+// 片段的音频都存放在 KV 中。合成在 ctx.waitUntil 里按时间预算进行，预算用完后由下一次
+// 状态查询接着处理，因此客户端需要轮询 GET /v1/audio/batches/{id} 直到任务结束
+const BATCH_TIME_BUDGET = 25 * 1000;
+const BATCH_LEASE = 35 * 1000; // 处理中的任务在此期间不会被重复接手
+const BATCH_STATE_FLUSH_INTERVAL = 2000; // KV 同一个键每秒最多写一次
+const BATCH_TTL = 7 * 24 * 60 * 60;
+const MAX_BATCH_INPUTS = 1000;
+const MAX_BATCH_CHARACTERS = 1000000;
+// ZIP 和 WAV 文件头中的长度都是 32 位，输出不能超过 4 GiB。创建任务时按估算大小限制在
+// 2 GiB 以内（估算偏差留余量），下载时再按实际大小检查一次
+const MAX_BATCH_ESTIMATED_BYTES = 2 * 1024 * 1024 * 1024;
+const MAX_BATCH_OUTPUT_BYTES = 4000 * 1024 * 1024;
+
+// apiKey 为 KV 中的 Key 时只能看到和管理自己创建的任务；环境变量 Key 可以管理全部任务
+async function handleBatchesRequest(request, ctx, apiKey = null) {
+  if (!globalThis.TTS_HISTORY) {
+    return errorResponse("KV storage not configured", 500, "storage_error");
+  }
+  const url = new URL(request.url);
+  const match = url.pathname.match(
+    /^\/v1\/audio\/batches(?:\/([^/]+)(?:\/(cancel|content))?)?\/?$/
+  );
+  if (!match) return errorResponse("Not found.", 404, "not_found");
+  const [, id, action] = match;
+
+  if (!id) {
+    if (request.method === "POST")
+      return await createBatch(request, ctx, apiKey);
+    if (request.method === "GET") return await listBatches(url, apiKey);
+    return errorResponse("Method not allowed.", 405, "method_not_allowed");
+  }
+
+  const job = await loadBatch(id);
+  if (!job || (apiKey && job.key_id !== apiKey.id)) {
+    return errorResponse("Batch not found.", 404, "not_found");
+  }
+
+  if (action === "cancel") {
+    if (request.method !== "POST")
+      return errorResponse("Method not allowed.", 405, "method_not_allowed");
+    if (job.status !== "queued" && job.status !== "in_progress") {
+      return errorResponse(
+        `Batch is already ${job.status}.`,
+        409,
+        "invalid_batch_state"
+      );
+    }
+    job.status = "cancelled";
+    job.cancelled_at = Math.floor(Date.now() / 1000);
+    // 取消标记单独存放，处理中的进度保存不会把它覆盖
+    await globalThis.TTS_HISTORY.put(
+      `batch_cancel_${id}`,
+      String(job.cancelled_at),
+      { expirationTtl: BATCH_TTL }
+    );
+    await saveBatch(job);
+    return batchResponse(job);
+  }
+
+  if (action === "content") {
+    if (job.status === "queued" || job.status === "in_progress") {
+      return errorResponse(
+        "Batch is still in progress.",
+        409,
+        "invalid_batch_state"
+      );
+    }
+    if (!job.segments.some((s) => s.status === "completed")) {
+      return errorResponse(
+        "Batch has no completed audio.",
+        409,
+        "invalid_batch_state"
+      );
+    }
+    const outputBytes = job.segments
+      .filter((s) => s.status === "completed")
+      .reduce((sum, s) => sum + s.bytes, 0);
+    if (outputBytes > MAX_BATCH_OUTPUT_BYTES) {
+      return errorResponse(
+        "Batch output is too large to download as a single file.",
+        409,
+        "invalid_batch_state"
+      );
+    }
+    return url.searchParams.get("format") === "zip"
+      ? await getBatchZip(job)
+      : await getBatchAudio(job);
+  }
+
+  if (request.method === "DELETE") {
+    await deleteBatch(job);
+    return new Response(
+      JSON.stringify({ id, object: "audio.batch.deleted", deleted: true }),
+      {
+        headers: { "Content-Type": "application/json", ...makeCORSHeaders() },
+      }
+    );
+  }
+
+  // 轮询状态时顺带接手没有在处理中的任务
+  if (
+    (job.status === "queued" || job.status === "in_progress") &&
+    job.lease_until < Date.now()
+  ) {
+    ctx.waitUntil(processBatch(id, request));
+  }
+  return batchResponse(job);
+}
+
+async function createBatch(request, ctx, apiKey) {
+  const {
+    model = "tts-1",
+    voice,
+    speed = 1.0,
+    pitch = 1.0,
+    style = "general",
+    role = "",
+    styleDegree = 1.0,
+    response_format = "mp3",
+    concurrency = DEFAULT_CONCURRENCY,
+    cleaning_options = {},
+    input,
+    inputs,
+  } = await request.json();
+
+  if (inputs !== undefined && !Array.isArray(inputs))
+    return errorResponse(
+      "'inputs' must be an array of strings.",
+      400,
+      "invalid_request_error"
+    );
+  const texts = inputs || (input ? [input] : []);
+  if (texts.length === 0)
+    return errorResponse(
+      "Either 'input' or 'inputs' is required.",
+      400,
+      "invalid_request_error"
+    );
+  if (texts.length > MAX_BATCH_INPUTS)
+    return errorResponse(
+      `A batch accepts at most ${MAX_BATCH_INPUTS} inputs.`,
+      400,
+      "invalid_request_error"
+    );
+  if (texts.some((text) => typeof text !== "string" || !text.trim()))
+    return errorResponse(
+      "Every input must be a non-empty string.",
+      400,
+      "invalid_request_error"
+    );
+  const totalCharacters = texts.reduce((sum, text) => sum + text.length, 0);
+  if (totalCharacters > MAX_BATCH_CHARACTERS)
+    return errorResponse(
+      `A batch accepts at most ${MAX_BATCH_CHARACTERS} characters.`,
+      400,
+      "invalid_request_error"
+    );
+
+  const audioFormat = resolveAudioFormat(response_format, model);
+  if (!audioFormat)
+    return errorResponse(
+      `Unsupported response_format '${response_format}'. Supported values: ${Object.keys(
+        AUDIO_FORMATS
+      ).join(", ")}.`,
+      400,
+      "invalid_request_error"
+    );
+  const estimatedBytes = texts.reduce(
+    (sum, text) => sum + estimateAudioBytes(text, speed, audioFormat),
+    0
+  );
+  if (estimatedBytes > MAX_BATCH_ESTIMATED_BYTES)
+    return errorResponse(
+      `The estimated ${audioFormat.name} output of this batch exceeds ${
+        MAX_BATCH_ESTIMATED_BYTES / 1024 / 1024 / 1024
+      } GiB. Split it into smaller batches or use a compressed format such as mp3.`,
+      400,
+      "invalid_request_error"
+    );
+
+  // inputs 中每一项是一个分段 (item)；单个 input 则按切分结果每片段一个分段，
+  // 下载 ZIP 时每个分段对应一个文件
+  let finalCleaningOptions;
+  try {
+    finalCleaningOptions = await resolveCleaningOptions(cleaning_options);
+  } catch (error) {
+    return errorResponse(error.message, 400, "invalid_request_error");
+  }
+  const segments = [];
+  const cleanedTexts = texts.map((text) =>
+    cleanText(text, finalCleaningOptions)
+  );
+  if (inputs) {
+    cleanedTexts.forEach((text, item) => {
+      balancePlainMarkup(splitText(text, MAX_CHUNK_SIZE)).forEach((chunk) =>
+        segments.push({ item, text: chunk })
+      );
+    });
+  } else {
+    balancePlainMarkup(splitText(cleanedTexts[0], MAX_CHUNK_SIZE)).forEach(
+      (chunk, item) => segments.push({ item, text: chunk })
+    );
+  }
+  if (segments.length === 0)
+    return errorResponse(
+      "Input is empty after cleaning.",
+      400,
+      "invalid_request_error"
+    );
+
+  const id = `batch_${crypto.randomUUID().replace(/-/g, "")}`;
+  const job = {
+    id,
+    object: "audio.batch",
+    status: "queued",
+    created_at: Math.floor(Date.now() / 1000),
+    started_at: null,
+    completed_at: null,
+    cancelled_at: null,
+    model,
+    voice: resolveVoiceName(model, voice),
+    response_format: audioFormat.name,
+    options: { speed, pitch, style, role, styleDegree, concurrency },
+    total_items: segments[segments.length - 1].item + 1,
+    segments: segments.map(({ item, text }) => ({
+      item,
+      characters: text.length,
+      status: "pending",
+    })),
+    lease_until: 0,
+    error: null,
+    key_id: apiKey ? apiKey.id : null,
+  };
+
+  await globalThis.TTS_HISTORY.put(
+    `batch_input_${id}`,
+    JSON.stringify(segments.map((segment) => segment.text)),
+    {
+      expirationTtl: BATCH_TTL,
+      metadata: { type: "batch_input", timestamp: Date.now() },
+    }
+  );
+  await saveBatch(job);
+  ctx.waitUntil(processBatch(id, request));
+  return batchResponse(job);
+}
+
+// 粗略估算合成后的字节数：汉字、假名、谚文按每秒 4 个计，其余字符按每秒 15 个计；
+// opus 按 32kbps 估算
+function estimateAudioBytes(text, speed, audioFormat) {
+  const cjk = (text.match(/[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]/g) || [])
+    .length;
+  const seconds =
+    (cjk / 4 + (text.length - cjk) / 15) /
+    Math.min(2, Math.max(0.25, Number(speed) || 1));
+  const kbps = /(\d+)kbitrate/.exec(audioFormat.outputFormat);
+  const bytesPerSecond = kbps
+    ? parseInt(kbps[1], 10) * 125
+    : audioFormat.container === "ogg"
+    ? 4000
+    : audioFormat.sampleRate * 2;
+  return seconds * bytesPerSecond;
+}
+
+// 在时间预算内合成尚未完成的片段。任务被取消时在下一次写回状态前停止
+async function processBatch(id, request) {
+  const startedAt = Date.now();
+  const job = await loadBatch(id);
+  if (
+    !job ||
+    (job.status !== "queued" && job.status !== "in_progress") ||
+    job.lease_until >= startedAt
+  ) {
+    return;
+  }
+  job.status = "in_progress";
+  job.started_at = job.started_at || Math.floor(startedAt / 1000);
+  job.lease_until = startedAt + BATCH_LEASE;
+  await saveBatch(job);
+
+  const input = await globalThis.TTS_HISTORY.get(`batch_input_${id}`);
+  if (!input) {
+    // 输入已过期或被删除，无法继续合成
+    job.status = "failed";
+    job.completed_at = Math.floor(Date.now() / 1000);
+    job.lease_until = 0;
+    job.error = {
+      message: "Batch input is no longer available.",
+      code: "batch_input_missing",
+    };
+    if (await loadBatch(id)) await saveBatch(job);
+    return;
+  }
+  const texts = JSON.parse(input);
+  const audioFormat = resolveAudioFormat(job.response_format, job.model);
+  const { speed, pitch, style, role, styleDegree, concurrency } = job.options;
+  const rate = ((speed - 1) * 100).toFixed(0);
+  const numPitch = ((pitch - 1) * 100).toFixed(0);
+  const synthesize = (text) =>
+    getAudioChunk(
+      text,
+      job.voice,
+      rate,
+      numPitch,
+      style,
+      role,
+      styleDegree,
+      audioFormat.outputFormat,
+      request
+    );
+
+  let cancelled = false;
+  let lastFlush = Date.now();
+  let flushing = null;
+  const flush = async (force) => {
+    if (flushing) await flushing;
+    if (!force && Date.now() - lastFlush < BATCH_STATE_FLUSH_INTERVAL) return;
+    lastFlush = Date.now();
+    flushing = (async () => {
+      // 每次保存前重新读取，任务已被取消或删除时不再写回
+      const stored = await loadBatch(id);
+      if (!stored || stored.status === "cancelled") {
+        cancelled = true;
+        return;
+      }
+      job.lease_until = force ? 0 : Date.now() + BATCH_LEASE;
+      await saveBatch(job);
+    })();
+    await flushing;
+    flushing = null;
+  };
+
+  const pending = job.segments
+    .map((segment, index) => index)
+    .filter((index) => job.segments[index].status === "pending");
+  let next = 0;
+  const runWorker = async () => {
+    while (
+      !cancelled &&
+      next < pending.length &&
+      Date.now() - startedAt < BATCH_TIME_BUDGET
+    ) {
+      const index = pending[next++];
+      const segment = job.segments[index];
+      try {
+        const audioBlob = await synthesizeWithRetry(
+          texts[index],
+          synthesize,
+          CHUNK_MAX_RETRIES
+        );
+        const bytes = new Uint8Array(await audioBlob.arrayBuffer());
+        await globalThis.TTS_HISTORY.put(`batch_audio_${id}_${index}`, bytes, {
+          expirationTtl: BATCH_TTL,
+          metadata: { type: "batch_audio", timestamp: Date.now() },
+        });
+        segment.status = "completed";
+        segment.bytes = bytes.length;
+      } catch (error) {
+        console.error(`Batch ${id} segment ${index} failed:`, error);
+        segment.status = "failed";
+        segment.error = error.message;
+      }
+      await flush(false);
+    }
+  };
+  await Promise.all(
+    Array.from(
+      {
+        length: clampNumber(
+          concurrency,
+          1,
+          parseInt(globalThis.MAX_CONCURRENCY, 10) || MAX_CONCURRENCY,
+          DEFAULT_CONCURRENCY
+        ),
+      },
+      runWorker
+    )
+  );
+  if (cancelled) return;
+
+  if (job.segments.every((segment) => segment.status !== "pending")) {
+    const failed = job.segments.filter((s) => s.status === "failed").length;
+    job.status = failed === job.segments.length ? "failed" : "completed";
+    job.completed_at = Math.floor(Date.now() / 1000);
+    if (failed > 0) {
+      job.error = {
+        message: `${failed} of ${job.segments.length} segments failed to synthesize.`,
+        code: "synthesis_failed",
+      };
+    }
+  }
+  await flush(true);
+}
+
+// KV 中的 Key 只列出自己创建的任务（按本页结果过滤，单页可能少于 limit 条）
+// KV 的 list 只能按前缀过滤，KV 中的 Key 只能看到自己的任务，需要逐页过滤直到凑满 limit。
+// 每页最多取还差的数量，保证游标之前的匹配项都已返回；一次请求最多翻 MAX_BATCH_LIST_PAGES 页
+const MAX_BATCH_LIST_PAGES = 20;
+
+async function listBatches(url, apiKey) {
+  const limit = clampNumber(url.searchParams.get("limit"), 1, 100, 20);
+  const data = [];
+  let cursor = url.searchParams.get("after") || undefined;
+  let complete = false;
+  for (
+    let page = 0;
+    page < MAX_BATCH_LIST_PAGES && data.length < limit && !complete;
+    page++
+  ) {
+    const list = await globalThis.TTS_HISTORY.list({
+      prefix: "batch_job_",
+      limit: limit - data.length,
+      cursor,
+    });
+    for (const key of list.keys) {
+      if (apiKey && !(key.metadata && key.metadata.key_id === apiKey.id))
+        continue;
+      data.push({
+        id: key.name.replace("batch_job_", ""),
+        object: "audio.batch",
+        status: key.metadata ? key.metadata.status : null,
+        created_at: key.metadata ? key.metadata.created_at : null,
+      });
+    }
+    complete = list.list_complete;
+    cursor = list.cursor;
+  }
+  return new Response(
+    JSON.stringify({
+      object: "list",
+      data,
+      has_more: !complete,
+      after: complete ? null : cursor,
+    }),
+    { headers: { "Content-Type": "application/json", ...makeCORSHeaders() } }
+  );
+}
+
+async function loadBatch(id) {
+  const [data, cancelledAt] = await Promise.all([
+    globalThis.TTS_HISTORY.get(`batch_job_${id}`),
+    globalThis.TTS_HISTORY.get(`batch_cancel_${id}`),
+  ]);
+  if (!data) return null;
+  const job = JSON.parse(data);
+  if (
+    cancelledAt &&
+    (job.status === "queued" || job.status === "in_progress")
+  ) {
+    job.status = "cancelled";
+    job.cancelled_at = parseInt(cancelledAt, 10);
+  }
+  return job;
+}
+
+async function saveBatch(job) {
+  await globalThis.TTS_HISTORY.put(`batch_job_${job.id}`, JSON.stringify(job), {
+    expirationTtl: BATCH_TTL,
+    metadata: {
+      type: "batch",
+      timestamp: job.created_at * 1000,
+      status: job.status,
+      created_at: job.created_at,
+      key_id: job.key_id,
+    },
+  });
+}
+
+async function deleteBatch(job) {
+  await Promise.all([
+    globalThis.TTS_HISTORY.delete(`batch_job_${job.id}`),
+    globalThis.TTS_HISTORY.delete(`batch_input_${job.id}`),
+    globalThis.TTS_HISTORY.delete(`batch_cancel_${job.id}`),
+    ...job.segments.map((segment, index) =>
+      globalThis.TTS_HISTORY.delete(`batch_audio_${job.id}_${index}`)
+    ),
+  ]);
+}
+
+// 对外返回的任务对象，不包含内部的片段列表
+function batchResponse(job) {
+  const count = (status) =>
+    job.segments.filter((segment) => segment.status === status).length;
+  const totalCharacters = job.segments.reduce(
+    (sum, segment) => sum + segment.characters,
+    0
+  );
+  const charactersDone = job.segments
+    .filter((segment) => segment.status !== "pending")
+    .reduce((sum, segment) => sum + segment.characters, 0);
+  return new Response(
+    JSON.stringify({
+      id: job.id,
+      object: job.object,
+      status: job.status,
+      created_at: job.created_at,
+      started_at: job.started_at,
+      completed_at: job.completed_at,
+      cancelled_at: job.cancelled_at,
+      model: job.model,
+      voice: job.voice,
+      response_format: job.response_format,
+      total_items: job.total_items,
+      request_counts: {
+        total: job.segments.length,
+        completed: count("completed"),
+        failed: count("failed"),
+      },
+      progress: {
+        characters_done: charactersDone,
+        total_characters: totalCharacters,
+      },
+      error: job.error,
+      content_url:
+        job.status === "queued" || job.status === "in_progress"
+          ? null
+          : `/v1/audio/batches/${job.id}/content`,
+    }),
+    { headers: { "Content-Type": "application/json", ...makeCORSHeaders() } }
+  );
+}
+
+async function loadBatchSegment(job, index) {
+  const data = await globalThis.TTS_HISTORY.get(
+    `batch_audio_${job.id}_${index}`,
+    "arrayBuffer"
+  );
+  if (!data) throw new Error(`Audio of segment ${index} is missing`);
+  return new Uint8Array(data);
+}
+
+// 按顺序把所有已完成片段拼接为一个文件，逐段从 KV 读取后流式输出
+async function getBatchAudio(job) {
+  const audioFormat = resolveAudioFormat(job.response_format, job.model);
+  const done = job.segments
+    .map((segment, index) => ({ ...segment, index }))
+    .filter((segment) => segment.status === "completed");
+  const assembler = createAudioAssembler(
+    audioFormat,
+    done.reduce((sum, segment) => sum + segment.bytes, 0)
+  );
+  const { readable, writable } = new TransformStream();
+  const writer = writable.getWriter();
+
+  (async () => {
+    try {
+      for (let i = 0; i < done.length; i++) {
+        const bytes = await loadBatchSegment(job, done[i].index);
+        await writer.write(assembler.push(bytes, i === done.length - 1));
+      }
+      await writer.close();
+    } catch (error) {
+      console.error("Batch download failed:", error);
+      await writer.abort(error);
+    }
+  })();
+
+  return new Response(readable, {
+    headers: {
+      "Content-Type": audioFormat.contentType,
+      "Content-Disposition": `attachment; filename="${job.id}.${audioFormat.extension}"`,
+      ...makeCORSHeaders(),
+    },
+  });
+}
+
+// 每个分段一个文件的 ZIP（不压缩），逐片段从 KV 读取后流式输出，不在内存中拼接整个分段
+async function getBatchZip(job) {
+  const audioFormat = resolveAudioFormat(job.response_format, job.model);
+  const zip = createZipWriter();
+  const { readable, writable } = new TransformStream();
+  const writer = writable.getWriter();
+  const width = String(job.total_items).length;
+
+  (async () => {
+    try {
+      for (let item = 0; item < job.total_items; item++) {
+        const indexes = [];
+        job.segments.forEach((segment, index) => {
+          if (segment.item === item && segment.status === "completed") {
+            indexes.push(index);
+          }
+        });
+        if (indexes.length === 0) continue;
+        const assembler = createAudioAssembler(
+          audioFormat,
+          indexes.reduce((sum, index) => sum + job.segments[index].bytes, 0)
+        );
+        const name = `${String(item + 1).padStart(width, "0")}.${
+          audioFormat.extension
+        }`;
+        await writer.write(zip.startFile(name));
+        for (let i = 0; i < indexes.length; i++) {
+          const bytes = await loadBatchSegment(job, indexes[i]);
+          await writer.write(
+            zip.write(assembler.push(bytes, i === indexes.length - 1))
+          );
+        }
+        await writer.write(zip.endFile());
+      }
+      await writer.write(zip.finish());
+      await writer.close();
+    } catch (error) {
+      console.error("Batch ZIP download failed:", error);
+      await writer.abort(error);
+    }
+  })();
+
+  return new Response(readable, {
+    headers: {
+      "Content-Type": "application/zip",
+      "Content-Disposition": `attachment; filename="${job.id}.zip"`,
+      ...makeCORSHeaders(),
+    },
+  });
+}
+
+// 最简 ZIP 写入：仅存储 (method 0)，文件名使用 UTF-8。文件内容分块写入，CRC 和长度
+// 写在内容之后的数据描述符 (data descriptor) 中，不支持 ZIP64，总大小须小于 4 GiB
+function createZipWriter() {
+  const entries = [];
+  let offset = 0;
+  let current = null;
+  const now = new Date();
+  const dosTime =
+    (now.getHours() << 11) |
+    (now.getMinutes() << 5) |
+    Math.floor(now.getSeconds() / 2);
+  const dosDate =
+    ((now.getFullYear() - 1980) << 9) |
+    ((now.getMonth() + 1) << 5) |
+    now.getDate();
+
+  return {
+    startFile(name) {
+      const nameBytes = new TextEncoder().encode(name);
+      const header = new Uint8Array(30 + nameBytes.length);
+      const view = new DataView(header.buffer);
+      view.setUint32(0, 0x04034b50, true);
+      view.setUint16(4, 20, true); // version needed
+      view.setUint16(6, 0x0808, true); // UTF-8 文件名 | 使用数据描述符
+      view.setUint16(8, 0, true); // stored
+      view.setUint16(10, dosTime, true);
+      view.setUint16(12, dosDate, true);
+      // CRC 和长度留 0，由数据描述符给出
+      view.setUint16(26, nameBytes.length, true);
+      header.set(nameBytes, 30);
+      current = { nameBytes, crc: 0, size: 0, offset };
+      offset += header.length;
+      return header;
+    },
+    write(data) {
+      current.crc = crc32(data, current.crc);
+      current.size += data.length;
+      offset += data.length;
+      return data;
+    },
+    endFile() {
+      const descriptor = new Uint8Array(16);
+      const view = new DataView(descriptor.buffer);
+      view.setUint32(0, 0x08074b50, true);
+      view.setUint32(4, current.crc, true);
+      view.setUint32(8, current.size, true);
+      view.setUint32(12, current.size, true);
+      entries.push(current);
+      current = null;
+      offset += descriptor.length;
+      return descriptor;
+    },
+    finish() {
+      const records = entries.map((entry) => {
+        const record = new Uint8Array(46 + entry.nameBytes.length);
+        const view = new DataView(record.buffer);
+        view.setUint32(0, 0x02014b50, true);
+        view.setUint16(4, 20, true); // version made by
+        view.setUint16(6, 20, true); // version needed
+        view.setUint16(8, 0x0808, true);
+        view.setUint16(10, 0, true);
+        view.setUint16(12, dosTime, true);
+        view.setUint16(14, dosDate, true);
+        view.setUint32(16, entry.crc, true);
+        view.setUint32(20, entry.size, true);
+        view.setUint32(24, entry.size, true);
+        view.setUint16(28, entry.nameBytes.length, true);
+        view.setUint32(42, entry.offset, true);
+        record.set(entry.nameBytes, 46);
+        return record;
+      });
+      const directory = concatBytes(records);
+      const end = new Uint8Array(22);
+      const view = new DataView(end.buffer);
+      view.setUint32(0, 0x06054b50, true);
+      view.setUint16(8, entries.length, true);
+      view.setUint16(10, entries.length, true);
+      view.setUint32(12, directory.length, true);
+      view.setUint32(16, offset, true);
+      return concatBytes([directory, end]);
+    },
+  };
+}
+
+let crc32Table = null;
+
+// ZIP 使用的 CRC-32（反射多项式 0xEDB88320），传入上一块的结果可分块计算
+function crc32(bytes, previous = 0) {
+  if (!crc32Table) {
+    crc32Table = new Uint32Array(256);
+    for (let i = 0; i < 256; i++) {
+      let r = i;
+      for (let j = 0; j < 8; j++) {
+        r = r & 1 ? (r >>> 1) ^ 0xedb88320 : r >>> 1;
+      }
+      crc32Table[i] = r >>> 0;
+    }
+  }
+  let crc = (previous ^ 0xffffffff) >>> 0;
+  for (const b of bytes) {
+    crc = (crc >>> 8) ^ crc32Table[(crc ^ b) & 0xff];
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
 // =================================================================================
 // Storage Management Functions
 // =================================================================================
@@ -1077,6 +5280,7 @@ async function cleanupStorageIfNeeded(newItemSize) {
 
       // Delete from KV
       await globalThis.TTS_HISTORY.delete(`audio_${oldestItem.id}`);
+      await globalThis.TTS_HISTORY.delete(`subtitles_${oldestItem.id}`);
       await globalThis.TTS_HISTORY.delete(`meta_${oldestItem.id}`);
     }
 
@@ -1103,6 +5307,9 @@ async function updateHistoryIndex(id, metadata) {
       size: metadata.size,
       hasPassword: !!metadata.password,
       type: metadata.type || "stored", // 添加类型信息
+      expiresAt: metadata.expiresAt || null,
+      maxViews: metadata.maxViews || null,
+      autoDelete: !!metadata.autoDelete,
     });
 
     // Keep only last 1000 items for performance
@@ -1116,6 +5323,16 @@ async function updateHistoryIndex(id, metadata) {
   }
 }
 
+// 更新历史索引中某一项的字段
+async function updateHistoryIndexEntry(id, fields) {
+  const historyData = await globalThis.TTS_HISTORY.get("history_index");
+  const history = historyData ? JSON.parse(historyData) : [];
+  const item = history.find((entry) => entry.id === id);
+  if (!item) return;
+  Object.assign(item, fields);
+  await globalThis.TTS_HISTORY.put("history_index", JSON.stringify(history));
+}
+
 function formatFileSize(bytes) {
   if (bytes === 0) return "0 B";
   const k = 1024;
@@ -1134,6 +5351,12 @@ function formatDate(timestamp) {
   });
 }
 
+// 分享列表与页面标题使用的摘要，不含拼音注音
+function makeSummary(text) {
+  const plain = stripInlineMarkup(text);
+  return plain.substring(0, 100) + (plain.length > 100 ? "..." : "");
+}
+
 function renderMarkdown(text) {
   if (!text) return "";
 
@@ -1171,15 +5394,308 @@ function renderMarkdown(text) {
   return html;
 }
 
+// =================================================================================
+// Chinese Text Normalization
+// =================================================================================
+
+// 把数字、日期、单位等改写成中文读法，规则分别由 cleaning_options 中的开关控制。
+// 只处理含汉字的文本，避免把英文文本中的数字读成中文
+const NORMALIZATION_RULES = [
+  // 2024-03-05、2024/3/5、2024.03.05 -> 二零二四年三月五日
+  [
+    "normalize_dates",
+    /(?<![\d.])(\d{4})[-/.年](\d{1,2})[-/.月](\d{1,2})日?(?![\d.])/g,
+    (match, year, month, day) =>
+      Number(month) >= 1 &&
+      Number(month) <= 12 &&
+      Number(day) >= 1 &&
+      Number(day) <= 31
+        ? `${readDigits(year)}年${readInteger(month)}月${readInteger(day)}日`
+        : match,
+  ],
+  // 10:30 -> 十点三十分，10:00 -> 十点整，10:30:15 -> 十点三十分十五秒
+  [
+    "normalize_times",
+    /(?<![\d:])([01]?\d|2[0-3]):([0-5]\d)(?::([0-5]\d))?(?![\d:])/g,
+    (match, hour, minute, second) => {
+      let spoken = `${readInteger(hour)}点`;
+      if (minute === "00" && !second) return `${spoken}整`;
+      spoken += `${
+        minute[0] === "0" && minute !== "00" ? "零" : ""
+      }${readInteger(minute)}分`;
+      if (second && second !== "00") {
+        spoken += `${second[0] === "0" ? "零" : ""}${readInteger(second)}秒`;
+      }
+      return spoken;
+    },
+  ],
+  // v1.2.0 -> V一点二点零
+  [
+    "normalize_versions",
+    /(?<![A-Za-z\d.])[vV]?(\d+(?:\.\d+){2,})(?![\d.])|(?<![A-Za-z\d.])[vV](\d+\.\d+)(?![\d.])/g,
+    (match, long, short) =>
+      (/^[vV]/.test(match) ? "V" : "") +
+      (long || short).split(".").map(readInteger).join("点"),
+  ],
+  // ¥1,299 -> 一千二百九十九元
+  [
+    "normalize_currency",
+    /([¥￥$€£])\s?(\d{1,3}(?:,\d{3})+|\d+)(\.\d+)?/g,
+    (match, symbol, integer, fraction) =>
+      readNumber(integer.replace(/,/g, "") + (fraction || "")) +
+      CURRENCY_NAMES[symbol],
+  ],
+  // 50% -> 百分之五十
+  [
+    "normalize_percent",
+    /(\d{1,3}(?:,\d{3})+|\d+)(\.\d+)?\s?([%％‰])/g,
+    (match, integer, fraction, sign) =>
+      (sign === "‰" ? "千分之" : "百分之") +
+      readNumber(integer.replace(/,/g, "") + (fraction || "")),
+  ],
+  // 3.5kg -> 三点五千克
+  [
+    "normalize_units",
+    /(\d{1,3}(?:,\d{3})+|\d+)(\.\d+)?\s?(km\/h|mAh|kHz|MHz|GHz|kWh|kW|Hz|kg|mg|km|cm|mm|ml|mL|m²|m³|GB|MB|KB|TB|°C|℃|g|m|L|W)(?![A-Za-z])/g,
+    (match, integer, fraction, unit) =>
+      readNumber(integer.replace(/,/g, "") + (fraction || "")) +
+      UNIT_NAMES[unit],
+  ],
+];
+const CURRENCY_NAMES = {
+  "¥": "元",
+  "￥": "元",
+  $: "美元",
+  "€": "欧元",
+  "£": "英镑",
+};
+const UNIT_NAMES = {
+  "km/h": "千米每小时",
+  mAh: "毫安时",
+  kHz: "千赫兹",
+  MHz: "兆赫兹",
+  GHz: "吉赫兹",
+  kWh: "千瓦时",
+  kW: "千瓦",
+  Hz: "赫兹",
+  kg: "千克",
+  mg: "毫克",
+  km: "千米",
+  cm: "厘米",
+  mm: "毫米",
+  ml: "毫升",
+  mL: "毫升",
+  "m²": "平方米",
+  "m³": "立方米",
+  GB: "GB",
+  MB: "MB",
+  KB: "KB",
+  TB: "TB",
+  "°C": "摄氏度",
+  "℃": "摄氏度",
+  g: "克",
+  m: "米",
+  L: "升",
+  W: "瓦",
+};
+const CHINESE_DIGITS = "零一二三四五六七八九";
+
+function normalizeChineseText(text, options) {
+  if (!/[\u3400-\u9fff]/.test(text)) return text;
+  return NORMALIZATION_RULES.reduce(
+    (result, [option, pattern, replace]) =>
+      options[option] ? result.replace(pattern, replace) : result,
+    text
+  );
+}
+
+// 逐位读：2024 -> 二零二四
+function readDigits(digits) {
+  return digits.replace(/\d/g, (d) => CHINESE_DIGITS[d]);
+}
+
+// 按数值读：1299 -> 一千二百九十九，超过 16 位时逐位读
+function readInteger(digits) {
+  digits = String(digits).replace(/^0+(?=\d)/, "");
+  if (digits.length > 16) return readDigits(digits);
+  if (digits === "0") return "零";
+  const groups = [];
+  for (let end = digits.length; end > 0; end -= 4) {
+    groups.unshift(digits.slice(Math.max(0, end - 4), end));
+  }
+  const groupUnits = ["", "万", "亿", "万亿"];
+  let result = "";
+  let zero = false;
+  groups.forEach((group, i) => {
+    if (/^0+$/.test(group)) {
+      zero = true;
+      return;
+    }
+    if (result && (zero || group[0] === "0")) {
+      result += "零";
+    }
+    result += readGroup(group) + groupUnits[groups.length - 1 - i];
+    zero = false;
+  });
+  return result.replace(/^一十/, "十");
+}
+
+function readGroup(group) {
+  const units = ["千", "百", "十", ""];
+  const padded = group.padStart(4, "0");
+  let result = "";
+  let zero = false;
+  for (let i = 0; i < 4; i++) {
+    if (padded[i] === "0") {
+      zero = result !== "";
+      continue;
+    }
+    if (zero) result += "零";
+    result += CHINESE_DIGITS[padded[i]] + units[i];
+    zero = false;
+  }
+  return result;
+}
+
+// 3.5 -> 三点五
+function readNumber(number) {
+  const [integer, fraction] = String(number).split(".");
+  return readInteger(integer) + (fraction ? `点${readDigits(fraction)}` : "");
+}
+
 // =================================================================================
 // Utility Functions
 // =================================================================================
 
+// 普通文本合成时的切分：按 MAX_CHUNK_SIZE 切分，流式模式首段切短以缩短首个音频到达的时间
+function splitTextForSynthesis(text, streaming) {
+  const chunks = splitText(text, MAX_CHUNK_SIZE);
+  if (streaming && chunks.length && chunks[0].length > FIRST_CHUNK_SIZE) {
+    const [head, ...rest] = splitText(chunks[0], FIRST_CHUNK_SIZE);
+    if (rest.length) chunks.splice(0, 1, head, rest.join(""));
+  }
+  return chunks;
+}
+
+// 粗略估算正常语速下的朗读时长（秒）：汉字、假名、谚文按字计，其余按单词计，加上 [pause] 停顿
+const CJK_CHARS_PER_SECOND = 4;
+const WORDS_PER_SECOND = 2.5;
+
+function estimateSpeechDuration(text, speed = 1.0) {
+  let pauseMs = 0;
+  for (const match of text.matchAll(PLAIN_MARKUP_PATTERN)) {
+    if (!match[4]) pauseMs += plainMarkupPause(match[1], match[2]);
+  }
+  const plain = stripInlineMarkup(text);
+  const cjkPattern = /[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]/g;
+  const characters = (plain.match(cjkPattern) || []).length;
+  const words = (plain.replace(cjkPattern, " ").match(/[A-Za-z0-9]+/g) || [])
+    .length;
+  const seconds =
+    (characters / CJK_CHARS_PER_SECOND + words / WORDS_PER_SECOND) /
+      Math.min(2, Math.max(0.25, Number(speed) || 1)) +
+    pauseMs / 1000;
+  return Math.round(seconds * 10) / 10;
+}
+
+// 分层切分长文本：段落 -> 句子 -> 分句 -> 词 -> 码点，尽量在更自然的边界处断开，
+// 再把相邻片段贪心合并到不超过 maxLength，避免切断词语、句子和代理对
+function splitText(text, maxLength) {
+  const chunks = [];
+  let current = "";
+  for (const unit of splitTextUnits(text, maxLength, 0)) {
+    if (current && current.length + unit.length > maxLength) {
+      chunks.push(current);
+      current = "";
+    }
+    current += unit;
+  }
+  if (current) chunks.push(current);
+  return chunks.filter((chunk) => chunk.trim());
+}
+
+const TEXT_SPLITTERS = [
+  (text) => text.match(/[^\n]*\n+|[^\n]+$/g), // 段落（保留换行）
+  splitSentences,
+  (text) => text.match(/[^，,、：:]+[，,、：:]*|[，,、：:]+/g), // 分句
+  (text) => text.match(/\S+\s*|\s+/g), // 词
+];
+
+function splitTextUnits(text, maxLength, level) {
+  if (text.length <= maxLength) return [text];
+  if (level >= TEXT_SPLITTERS.length) {
+    // 最后按码点硬切，不拆开代理对
+    const pieces = [];
+    let current = "";
+    for (const ch of text) {
+      if (current.length + ch.length > maxLength) {
+        pieces.push(current);
+        current = "";
+      }
+      current += ch;
+    }
+    if (current) pieces.push(current);
+    return pieces;
+  }
+  const pieces = TEXT_SPLITTERS[level](text) || [text];
+  return pieces.flatMap((piece) => splitTextUnits(piece, maxLength, level + 1));
+}
+
+// 按句末标点切分，保留原有空白与标点，拼接后与原文完全一致
+function splitSentences(text) {
+  const sentences = [];
+  let current = "";
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    const next = text[i + 1] || "";
+    current += ch;
+    const isEnd =
+      ch === "\n" ||
+      ((/[。！？!?；;…]/.test(ch) ||
+        (ch === "." && (!next || /\s/.test(next)))) &&
+        !/[。！？!?；;….”"’'」』）)]/.test(next));
+    if (isEnd) {
+      sentences.push(current);
+      current = "";
+    }
+  }
+  if (current) sentences.push(current);
+  return sentences;
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
 function cleanText(text, options) {
-  let cleanedText = text;
+  // 拼音注音和轻量标记先换成私用区占位符，清理规则不会改动它们。
+  // 输入中原有的私用区字符同样先登记为占位符，还原时不会被误替换；
+  // 占位符用尽时直接去掉（私用区字符本身不会被朗读）
+  const annotations = [];
+  const expressive =
+    options.remove_markdown && options.markdown_mode === "expressive";
+  const protect = (match) => {
+    if (annotations.length >= 0x1900) return match;
+    annotations.push(match);
+    return String.fromCharCode(0xe000 + annotations.length - 1);
+  };
+  // 替换规则集最先执行，可以删除页眉页脚等整段内容
+  if (options.rules && options.rules.length > 0) {
+    text = applyReplaceRules(text, options.rules);
+  }
+  let cleanedText = (expressive ? markdownToMarkup(text) : text)
+    .replace(/[\ue000-\uf8ff]/g, (ch) =>
+      annotations.length >= 0x1900 ? "" : protect(ch)
+    )
+    .replace(PINYIN_ANNOTATION_PATTERN, protect)
+    .replace(PLAIN_MARKUP_PATTERN, protect);
   if (options.remove_urls)
     cleanedText = cleanedText.replace(/(https?:\/\/[^\s]+)/g, "");
-  if (options.remove_markdown)
+  if (options.remove_markdown && !expressive)
     cleanedText = cleanedText
       .replace(/!\[.*?\]\(.*?\)/g, "")
       .replace(/\[(.*?)\]\(.*?\)/g, "$1")
@@ -1210,11 +5726,70 @@ function cleanText(text, options) {
     // 移除换行符，不添加空格，直接连接文本
     cleanedText = cleanedText.replace(/(\r\n|\n|\r)/gm, "");
     // 合并多个连续空格为单个空格
-    return cleanedText.trim().replace(/\s+/g, " ");
+    cleanedText = cleanedText.trim().replace(/\s+/g, " ");
   } else {
     // 保留换行符，只合并非换行的连续空格
-    return cleanedText.trim().replace(/[ \t]+/g, " ");
+    cleanedText = cleanedText.trim().replace(/[ \t]+/g, " ");
   }
+  cleanedText = normalizeChineseText(cleanedText, options);
+  if (annotations.length === 0) return cleanedText;
+  return cleanedText.replace(
+    /[\ue000-\uf8ff]/g,
+    (ch) => annotations[ch.charCodeAt(0) - 0xe000] ?? ch
+  );
+}
+
+// markdown_mode: "expressive"：把 Markdown 结构转为轻量标记。标题放慢并前后停顿，
+// 粗体重读，列表项之间短停顿，代码块和表格只读一句提示
+const MARKDOWN_HEADING_PAUSE = 600;
+const MARKDOWN_LIST_PAUSE = 300;
+
+function markdownToMarkup(text) {
+  const chinese = /[\u3400-\u9fff]/.test(text);
+  const codeNotice = chinese ? "（此处省略代码）" : "Code omitted.";
+  const tableNotice = chinese ? "（此处省略表格）" : "Table omitted.";
+  const inline = (line) =>
+    line
+      .replace(/!\[.*?\]\(.*?\)/g, "")
+      .replace(/\[(.*?)\]\(.*?\)/g, "$1")
+      .replace(/(\*\*|__)(.*?)\1/g, "[emphasis]$2[/emphasis]")
+      .replace(/(\*|_)(.*?)\1/g, "$2")
+      .replace(/`([^`]+)`/g, "$1");
+
+  const lines = [];
+  let fence = null;
+  let inTable = false;
+  for (const line of text.split("\n")) {
+    const fenceMatch = line.match(/^\s*(```|~~~)/);
+    if (fence) {
+      if (fenceMatch && fenceMatch[1] === fence) fence = null;
+      continue;
+    }
+    if (fenceMatch) {
+      fence = fenceMatch[1];
+      lines.push(codeNotice);
+      continue;
+    }
+    if (/^\s*\|.*\|\s*$/.test(line)) {
+      if (!inTable) lines.push(tableNotice);
+      inTable = true;
+      continue;
+    }
+    inTable = false;
+
+    let match;
+    if ((match = line.match(/^\s{0,3}#{1,6}\s+(.*?)[\s#]*$/))) {
+      const pause = `[pause ${MARKDOWN_HEADING_PAUSE}ms]`;
+      lines.push(`${pause}[slow]${inline(match[1])}[/slow]${pause}`);
+    } else if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      lines.push(`[pause ${MARKDOWN_HEADING_PAUSE}ms]`);
+    } else if ((match = line.match(/^\s*(?:[-*+]|\d+[.)])\s+(.*)$/))) {
+      lines.push(`${inline(match[1])}[pause ${MARKDOWN_LIST_PAUSE}ms]`);
+    } else {
+      lines.push(inline(line.replace(/^\s{0,3}(>\s?)+/, "")));
+    }
+  }
+  return lines.join("\n");
 }
 
 async function hmacSha256(key, data) {
@@ -1242,23 +5817,31 @@ async function base64ToBytes(base64) {
 }
 
 async function bytesToBase64(bytes) {
-  return btoa(String.fromCharCode.apply(null, bytes));
+  // 分块转换，避免大数组超出 apply 的参数上限
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 8192) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 8192));
+  }
+  return btoa(binary);
 }
 
-function errorResponse(message, status, code) {
-  return new Response(
-    JSON.stringify({ error: { message, type: "api_error", code } }),
-    {
-      status,
-      headers: { "Content-Type": "application/json", ...makeCORSHeaders() },
-    }
-  );
+function clampNumber(value, min, max, fallback) {
+  const number = parseInt(value, 10);
+  if (Number.isNaN(number)) return fallback;
+  return Math.min(max, Math.max(min, number));
+}
+
+function errorResponse(message, status, code, type = "api_error") {
+  return new Response(JSON.stringify({ error: { message, type, code } }), {
+    status,
+    headers: { "Content-Type": "application/json", ...makeCORSHeaders() },
+  });
 }
 
 function makeCORSHeaders(extraHeaders = "Content-Type, Authorization") {
   return {
     "Access-Control-Allow-Origin": "*",
-    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    "Access-Control-Allow-Methods": "GET, POST, PUT, PATCH, DELETE, OPTIONS",
     "Access-Control-Allow-Headers": extraHeaders,
     "Access-Control-Max-Age": "86400",
   };
@@ -1279,7 +5862,7 @@ function getFaviconSVG() {
 // Embedded WebUI (v7.0 - UI & Auth Fix)
 // =================================================================================
 
-function getPasswordPageHTML(id) {
+function getPasswordPageHTML(id, error = "") {
   return `<!DOCTYPE html>
 <html lang="zh-CN">
 <head>
@@ -1312,7 +5895,9 @@ function getPasswordPageHTML(id) {
       <button type="submit" class="btn">访问内容</button>
     </form>
     
-    <div id="error" class="error">密码错误，请重试</div>
+    <div id="error" class="error"${error ? ' style="display: block;"' : ""}>${
+    error || "密码错误，请重试"
+  }</div>
   </div>
  
   <script>
@@ -1326,10 +5911,15 @@ function getPasswordPageHTML(id) {
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({ password })
         });
+        const errorEl = document.getElementById('error');
         if (res.ok) {
           window.location.href = '/share/${id}';
+        } else if (res.status === 429) {
+          errorEl.textContent = \`尝试次数过多，请 \${res.headers.get('Retry-After') || 60} 秒后再试\`;
+          errorEl.style.display = 'block';
         } else {
-          document.getElementById('error').style.display = 'block';
+          errorEl.textContent = '密码错误，请重试';
+          errorEl.style.display = 'block';
         }
       } catch (err) {
         document.getElementById('error').style.display = 'block';
@@ -1340,6 +5930,38 @@ function getPasswordPageHTML(id) {
 </html>`;
 }
 
+function getShareExpiredPageHTML(reason) {
+  const message =
+    reason === "expired"
+      ? "此分享已超过有效期，内容已不可访问"
+      : "此分享的播放次数已用完，内容已不可访问";
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>分享已失效</title>
+  <style>
+    :root { --primary-color: #007bff; --light-gray: #f8f9fa; --gray: #6c757d; }
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif; background-color: var(--light-gray); color: #343a40; line-height: 1.8; margin: 0; padding: 1rem; }
+    .container { max-width: 520px; margin: 8vh auto 0; background-color: #ffffff; padding: 2rem; border-radius: 12px; box-shadow: 0 8px 24px rgba(0, 0, 0, 0.08); text-align: center; }
+    .expired-icon { font-size: 3rem; margin-bottom: 1rem; }
+    p { color: var(--gray); }
+    a { display: inline-block; margin-top: 0.8rem; color: var(--primary-color); text-decoration: none; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="expired-icon">⌛</div>
+    <h1>分享已失效</h1>
+    <p>${message}</p>
+    <p>如需继续收听，请联系分享者重新分享</p>
+    <a href="/">前往语音合成页面</a>
+  </div>
+</body>
+</html>`;
+}
+
 function getPlayPageHTML(config) {
   return `<!DOCTYPE html>
 <html lang="zh-CN">
@@ -1541,7 +6163,7 @@ function getRealtimeSharePageHTML(metadata, id) {
     </div>
     
     <div class="content">
-      ${renderMarkdown(metadata.text)}
+      ${renderMarkdown(stripInlineMarkup(metadata.text))}
     </div>
     
     <div class="footer">
@@ -1612,7 +6234,10 @@ function getRealtimeSharePageHTML(metadata, id) {
           role: "${metadata.role || ""}",
           styleDegree: ${metadata.styleDegree || 1.0},
           stream: isStreaming,
-          cleaning_options: ${JSON.stringify(metadata.cleaningOptions || {})}
+          cleaning_options: ${JSON.stringify(metadata.cleaningOptions || {})},
+          // 未设置的字段保持 undefined，与分享时计算内容哈希的请求体一致
+          dialogue_options: ${JSON.stringify(metadata.dialogueOptions)},
+          auto_language: ${JSON.stringify(metadata.autoLanguage)}
         };
         
         console.log('Device detection:', { isMobile, isStreaming });
@@ -1758,6 +6383,7 @@ function getSharePageHTML(metadata, id) {
     .share-buttons { display: flex; justify-content: center; gap: 1rem; margin-top: 1rem; flex-wrap: wrap; }
     .share-btn { padding: 0.5rem 1rem; border: none; border-radius: 6px; cursor: pointer; text-decoration: none; font-size: 0.9rem; }
     .share-copy { background-color: var(--primary-color); color: white; }
+    .share-subtitles { background-color: var(--gray); color: white; }
     .back-link { color: var(--gray); text-decoration: none; font-size: 0.9rem; }
     @media (max-width: 768px) {
       body { padding: 0; }
@@ -1793,12 +6419,18 @@ function getSharePageHTML(metadata, id) {
     </div>
     
     <div class="content" id="content">
-      ${renderMarkdown(metadata.text)}
+      ${renderMarkdown(stripInlineMarkup(metadata.text))}
     </div>
     
     <div class="footer">
       <div class="share-buttons">
-        <button class="share-btn share-copy" onclick="copyLink()">📋 复制链接</button>
+        <button class="share-btn share-copy" onclick="copyLink()">📋 复制链接</button>${
+          // 实时播放类型没有存储音频，无法提供字幕
+          metadata.type === "realtime"
+            ? ""
+            : `
+        <a class="share-btn share-subtitles" href="/api/subtitles/${id}?format=srt" download="${id}.srt">📝 下载字幕</a>`
+        }
       </div>
       <div style="margin-top: 1rem;">
         <a href="/" class="back-link">← 返回 TTS 服务</a>
@@ -1944,6 +6576,8 @@ function getHistoryPageHTML() {
     .btn-share:hover { background-color: #0056b3; }
     .btn-password { background-color: #ffc107; color: #212529; }
     .btn-password:hover { background-color: #e0a800; }
+    .btn-expiry { background-color: #6f42c1; color: white; }
+    .btn-expiry:hover { background-color: #5a32a3; }
     .btn-delete { background-color: #dc3545; color: white; }
     .btn-delete:hover { background-color: #c82333; }
     .loading { text-align: center; padding: 2rem; color: var(--gray); }
@@ -1993,6 +6627,7 @@ function getHistoryPageHTML() {
                   \${formatDate(item.timestamp)} • \${item.voice} • \${formatFileSize(item.size)}
                   \${item.hasPassword ? ' • 🔒 已设密码' : ''}
                   \${item.type === 'realtime' ? ' • 🌐 实时播放' : ' • 💾 预存储'}
+                  \${formatShareLimits(item)}
                 </div>
               </div>
               <div class="item-actions">
@@ -2011,6 +6646,11 @@ function getHistoryPageHTML() {
                     <path d="M18,8h-1V6c0-2.76-2.24-5-5-5S7,3.24,7,6v2H6c-1.1,0-2,0.9-2,2v10c0,1.1,0.9,2,2,2h12c1.1,0,2-0.9,2-2V10C20,8.9,19.1,8,18,8z M12,17c-1.1,0-2-0.9-2-2s0.9-2,2-2s2,0.9,2,2S13.1,17,12,17z M15.1,8H8.9V6c0-1.71,1.39-3.1,3.1-3.1s3.1,1.39,3.1,3.1V8z"/>
                   </svg>
                 </button>
+                <button class="btn btn-expiry" onclick="setShareLimits('\${item.id}')" title="设置有效期">
+                  <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+                    <path d="M12 2a10 10 0 1 0 0 20 10 10 0 0 0 0-20zm0 18a8 8 0 1 1 0-16 8 8 0 0 1 0 16zm.5-13H11v6l5.2 3.1.8-1.3-4.5-2.7V7z"/>
+                  </svg>
+                </button>
                 <button class="btn btn-delete" onclick="deleteItem('\${item.id}')" title="删除">
                   <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
                     <path d="M6 19c0 1.1.9 2 2 2h8c1.1 0 2-.9 2-2V7H6v12zM19 4h-3.5l-1-1h-5l-1 1H5v2h14V4z"/>
@@ -2032,6 +6672,56 @@ function getHistoryPageHTML() {
       return new Date(timestamp).toLocaleString('zh-CN');
     }
     
+    function formatShareLimits(item) {
+      const parts = [];
+      if (item.expiresAt) {
+        parts.push(item.expiresAt <= Date.now() ? ' • ⌛ 已过期' : \` • ⏳ \${formatDate(item.expiresAt)} 到期\${item.autoDelete ? '后删除' : ''}\`);
+      }
+      if (item.maxViews) parts.push(\` • 🔢 限播 \${item.maxViews} 次\`);
+      return parts.join('');
+    }
+    
+    async function setShareLimits(id) {
+      const hours = prompt('有效期（小时，留空或 0 为永久）:');
+      if (hours === null) return; // 用户取消
+      const maxViews = prompt('最多播放次数（留空或 0 为不限）:');
+      if (maxViews === null) return;
+      const autoDelete = Number(hours) > 0 && confirm('到期后自动删除该记录？');
+      
+      try {
+        const apiKey = getCookie('apiKey');
+        if (!apiKey) {
+          alert('请先设置 API Key');
+          return;
+        }
+        
+        const response = await fetch('/api/update-share', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': \`Bearer \${apiKey}\`
+          },
+          body: JSON.stringify({
+            id,
+            expiresIn: Math.round(Number(hours || 0) * 3600),
+            maxViews: Number(maxViews || 0),
+            autoDelete,
+            resetViews: true
+          })
+        });
+        
+        if (response.ok) {
+          alert('有效期设置成功！');
+          loadHistory(); // 刷新列表
+        } else {
+          const error = await response.json();
+          alert('设置失败: ' + error.error.message);
+        }
+      } catch (error) {
+        alert('设置失败: ' + error.message);
+      }
+    }
+    
     function formatFileSize(bytes) {
       if (bytes === 0) return '0 B';
       const k = 1024;
@@ -2067,8 +6757,10 @@ function getHistoryPageHTML() {
           button.innerHTML = originalText;
           button.disabled = false;
         } else {
-          // 预存储类型：从API获取音频文件
-          const response = await fetch(\`/api/audio/\${id}\`);
+          // 预存储类型：从API获取音频文件（带上 API Key，不计入分享的播放次数）
+          const response = await fetch(\`/api/audio/\${id}\`, {
+            headers: { 'Authorization': \`Bearer \${getCookie('apiKey')}\` }
+          });
           if (response.ok) {
             const blob = await response.blob();
             
@@ -2254,6 +6946,7 @@ function getWebUIHTML() {
       }
       #status { margin-top: 1.5rem; padding: 1rem; border-radius: 8px; text-align: center; font-weight: 500; display: none; }
       .status-info { background-color: #e7f3ff; color: #004085; }
+      #synthesis-progress { display: none; width: 100%; height: 6px; margin-top: 0.5rem; }
       .status-success { background-color: #d4edda; color: #155724; }
       .status-error { background-color: #f8d7da; color: #721c24; }
       audio { width: 100%; margin-top: 1.5rem; display: none; }
@@ -2284,6 +6977,7 @@ function getWebUIHTML() {
         <textarea id="inputText">你好，世界！[1] 这是一个 **Markdown** 格式的示例文本，包含链接 https://example.com 和 😊 表情符号。自定义关键词：ABC</textarea>
         <div class="textarea-footer">
           <span id="char-count">0 字符</span>
+          <span title="停顿：[pause 800ms]；语气：[slow]…[/slow]、[fast]、[loud]、[soft]、[whisper]；多音字：重[chong2] 或 {行|hang2}">支持 [pause 800ms]、[slow]…[/slow] 等标记</span>
           <button id="clear-text">清除</button>
         </div>
       </div>
@@ -2299,12 +6993,14 @@ function getWebUIHTML() {
             <option value="echo">echo (东北女声)</option>
             <option value="custom">🎛️ 自定义音色配置</option>
           </select>
+          <label style="margin-top: 0.5rem; font-weight: normal;"><input type="checkbox" id="autoLanguage" /> 自动识别语言（中/英/日/韩句子切换为对应音色）</label>
         </div>
         
         <div id="custom-voice-config" style="display: none; grid-column: 1 / -1;">
           <div class="form-group">
             <label for="customVoiceName">自定义音色名称 (ShortName)</label>
-            <input type="text" id="customVoiceName" placeholder="例如: zh-CN-XiaoxiaoNeural" />
+            <input type="text" id="customVoiceName" placeholder="例如: zh-CN-XiaoxiaoNeural" list="voice-catalog" />
+            <datalist id="voice-catalog"></datalist>
             <small style="color: #666; font-size: 0.85rem; display: block; margin-top: 0.3rem;">
               完整的音色标识符，如 zh-CN-XiaoxiaoNeural 
               <a href="https://learn.microsoft.com/zh-cn/azure/ai-services/speech-service/language-support?tabs=tts#multilingual-voices" target="_blank" style="color: var(--primary-color); text-decoration: none; margin-left: 0.5rem;">
@@ -2356,6 +7052,29 @@ function getWebUIHTML() {
               <small style="color: #666; font-size: 0.85rem; display: block; margin-top: 0.3rem;">控制语音风格的强度，范围 0.01-2.00</small>
             </div>
           </div>
+          <div class="form-group" style="margin-top: 1rem;">
+            <label><input type="checkbox" id="dialogueEnabled" /> 对白分离（小说引号“…”「…」内的对白用另一音色/风格朗读）</label>
+          </div>
+          <div id="dialogue-config" class="grid-layout" style="display: none;">
+            <div class="form-group">
+              <label for="dialogueVoice">对白音色 (可选)</label>
+              <input type="text" id="dialogueVoice" placeholder="留空则与旁白相同" list="voice-catalog" />
+            </div>
+            <div class="form-group">
+              <label for="dialogueStyle">对白风格</label>
+              <select id="dialogueStyle">
+                <option value="chat" selected>聊天 (chat)</option>
+                <option value="general">默认风格 (general)</option>
+                <option value="cheerful">开朗 (cheerful)</option>
+                <option value="friendly">友好 (friendly)</option>
+                <option value="gentle">温柔 (gentle)</option>
+                <option value="excited">兴奋 (excited)</option>
+                <option value="sad">悲伤 (sad)</option>
+                <option value="angry">愤怒 (angry)</option>
+                <option value="whispering">耳语 (whispering)</option>
+              </select>
+            </div>
+          </div>
         </div>
         <div class="form-group">
           <label>语速</label>
@@ -2372,19 +7091,88 @@ function getWebUIHTML() {
           </div>
         </div>
       </div>
-      <details>
+      <details id="cleaning-details">
         <summary>高级文本清理选项</summary>
         <div class="checkbox-grid">
           <label><input type="checkbox" id="removeMarkdown" checked />移除 Markdown</label>
+          <label title="标题放慢并停顿、粗体重读、列表项停顿，代码块和表格省略"><input type="checkbox" id="expressiveMarkdown" />Markdown 转为语气停顿</label>
           <label><input type="checkbox" id="removeEmoji" checked />移除 Emoji</label>
           <label><input type="checkbox" id="removeUrls" checked />移除 URL</label>
           <label><input type="checkbox" id="removeLineBreaks" checked />移除所有换行</label>
           <label><input type="checkbox" id="removeCitation" checked />移除引用标记[数字]</label>
         </div>
+        <div class="checkbox-grid" style="margin-top: 1rem;" title="改写为中文读法，只对含汉字的文本生效">
+          <label><input type="checkbox" id="normalizeDates" />日期 2024-03-05</label>
+          <label><input type="checkbox" id="normalizeTimes" />时间 10:30</label>
+          <label><input type="checkbox" id="normalizeCurrency" />金额 ¥1,299</label>
+          <label><input type="checkbox" id="normalizePercent" />百分比 50%</label>
+          <label><input type="checkbox" id="normalizeUnits" />单位 3.5kg</label>
+          <label><input type="checkbox" id="normalizeVersions" />版本号 v1.2.0</label>
+        </div>
         <div class="form-group" style="margin-top: 1rem; margin-bottom: 0">
           <label for="customKeywords">自定义移除关键词 (逗号分隔)</label>
           <input type="text" id="customKeywords" placeholder="例如: ABC,XYZ" />
         </div>
+        <div class="form-group" style="margin-top: 1rem; margin-bottom: 0">
+          <label for="ruleSet">替换规则集</label>
+          <select id="ruleSet"><option value="">不使用</option></select>
+          <small style="color: #666; font-size: 0.85rem; display: block; margin-top: 0.3rem;">规则集通过 /api/rule-sets 接口维护，在其他清理步骤之前按顺序执行</small>
+        </div>
+        <div style="margin-top: 1rem;">
+          <button id="btn-clean-preview" class="secondary-btn">🔍 预览清理结果</button>
+          <div id="clean-preview" style="display: none; margin-top: 0.8rem;">
+            <div id="clean-stats" style="font-size: 0.85rem; color: var(--gray); margin-bottom: 0.5rem;"></div>
+            <div id="clean-diff" style="white-space: pre-wrap; word-break: break-word; max-height: 320px; overflow-y: auto; border: 1px solid var(--border-color); border-radius: 6px; padding: 0.8rem; font-size: 0.9rem; line-height: 1.6;"></div>
+          </div>
+        </div>
+      </details>
+      <details id="lexicon-details">
+        <summary>发音词典</summary>
+        <small style="color: #666; font-size: 0.85rem; display: block;">品牌名、型号、专有名词读错时，可指定替换读法 (alias) 或音标 (phoneme)，对所有合成请求和分享页生效（SSML 输入除外）</small>
+        <div class="grid-layout" style="margin-top: 1rem;">
+          <div class="form-group">
+            <label for="lexiconWord">词语</label>
+            <input type="text" id="lexiconWord" placeholder="例如: GPT" />
+          </div>
+          <div class="form-group">
+            <label for="lexiconType">类型</label>
+            <select id="lexiconType">
+              <option value="alias" selected>替换读法 (alias)</option>
+              <option value="phoneme">音标 (phoneme)</option>
+            </select>
+          </div>
+          <div class="form-group">
+            <label for="lexiconValue">读法 / 音标</label>
+            <input type="text" id="lexiconValue" placeholder="例如: G P T 或 chong 2 qing 4" />
+          </div>
+          <div class="form-group">
+            <label for="lexiconAlphabet">音标字母表</label>
+            <select id="lexiconAlphabet">
+              <option value="sapi" selected>sapi (中文拼音)</option>
+              <option value="ipa">ipa</option>
+              <option value="ups">ups</option>
+              <option value="x-sampa">x-sampa</option>
+            </select>
+          </div>
+          <div class="form-group">
+            <label for="lexiconLocale">区域 (可选)</label>
+            <input type="text" id="lexiconLocale" placeholder="留空为全局，如 zh-CN" />
+          </div>
+        </div>
+        <div style="text-align: center; margin-bottom: 1rem;">
+          <button id="btn-lexicon-add" style="background-color: #17a2b8; color: white; padding: 0.5rem 1.2rem; border: none; border-radius: 6px; cursor: pointer;">添加 / 更新词条</button>
+        </div>
+        <table id="lexicon-table" style="width: 100%; border-collapse: collapse; font-size: 0.9rem;">
+          <thead>
+            <tr style="text-align: left; border-bottom: 1px solid #dee2e6;">
+              <th style="padding: 0.4rem;">词语</th>
+              <th style="padding: 0.4rem;">读法 / 音标</th>
+              <th style="padding: 0.4rem;">区域</th>
+              <th style="padding: 0.4rem;"></th>
+            </tr>
+          </thead>
+          <tbody id="lexicon-body"></tbody>
+        </table>
       </details>
       <div class="action-section">
         <div style="margin-bottom: 1rem;">
@@ -2398,6 +7186,27 @@ function getWebUIHTML() {
               保存实时播放 (文本+流播放)
             </label>
           </div>
+          <div id="share-limits" style="display: none; gap: 1rem; flex-wrap: wrap; align-items: center; justify-content: center; margin-bottom: 0.8rem; font-size: 0.9rem;">
+            <label style="display: flex; align-items: center; gap: 0.4rem; font-weight: normal; margin: 0;">
+              分享有效期
+              <select id="shareExpiresIn" style="width: auto;">
+                <option value="0">永久</option>
+                <option value="3600">1 小时</option>
+                <option value="86400">1 天</option>
+                <option value="604800">7 天</option>
+                <option value="2592000">30 天</option>
+              </select>
+            </label>
+            <label style="display: flex; align-items: center; gap: 0.4rem; font-weight: normal; margin: 0;">
+              最多播放
+              <input type="number" id="shareMaxViews" min="0" placeholder="不限" style="width: 5rem;" />
+              次
+            </label>
+            <label style="display: flex; align-items: center; gap: 0.4rem; font-weight: normal; margin: 0;">
+              <input type="checkbox" id="shareAutoDelete" style="width: auto; margin: 0;" />
+              到期后自动删除
+            </label>
+          </div>
           <div id="direct-save-buttons" style="display: none; text-align: center;">
             <button id="btn-direct-save" style="background-color: #17a2b8; color: white; padding: 0.6rem 1.5rem; border: none; border-radius: 6px; cursor: pointer;">
               💾 直接保存到历史记录
@@ -2427,6 +7236,7 @@ function getWebUIHTML() {
         </div>
       </div>
       <div id="status"></div>
+      <progress id="synthesis-progress" max="100" value="0"></progress>
       <audio id="audioPlayer" controls></audio>
       <details id="curl-details" style="margin-top: 2rem">
         <summary>cURL 命令示例</summary>
@@ -2465,6 +7275,7 @@ function getWebUIHTML() {
           btnStream: document.getElementById("btn-stream"),
           btnHistory: document.getElementById("btn-history"),
           status: document.getElementById("status"),
+          synthesisProgress: document.getElementById("synthesis-progress"),
           audioPlayer: document.getElementById("audioPlayer"),
           saveConfig: document.getElementById("save-config"),
           apiConfig: document.getElementById("api-config"),
@@ -2475,13 +7286,44 @@ function getWebUIHTML() {
           removeUrls: document.getElementById("removeUrls"),
           removeLineBreaks: document.getElementById("removeLineBreaks"),
           removeCitation: document.getElementById("removeCitation"),
+          expressiveMarkdown: document.getElementById("expressiveMarkdown"),
+          normalizeDates: document.getElementById("normalizeDates"),
+          normalizeTimes: document.getElementById("normalizeTimes"),
+          normalizeCurrency: document.getElementById("normalizeCurrency"),
+          normalizePercent: document.getElementById("normalizePercent"),
+          normalizeUnits: document.getElementById("normalizeUnits"),
+          normalizeVersions: document.getElementById("normalizeVersions"),
           customKeywords: document.getElementById("customKeywords"),
           saveToHistory: document.getElementById("saveToHistory"),
           saveAsRealtime: document.getElementById("saveAsRealtime"),
+          shareLimits: document.getElementById("share-limits"),
+          shareExpiresIn: document.getElementById("shareExpiresIn"),
+          shareMaxViews: document.getElementById("shareMaxViews"),
+          shareAutoDelete: document.getElementById("shareAutoDelete"),
           directSaveButtons: document.getElementById("direct-save-buttons"),
           btnDirectSave: document.getElementById("btn-direct-save"),
+          lexiconDetails: document.getElementById("lexicon-details"),
+          cleaningDetails: document.getElementById("cleaning-details"),
+          ruleSet: document.getElementById("ruleSet"),
+          btnCleanPreview: document.getElementById("btn-clean-preview"),
+          cleanPreview: document.getElementById("clean-preview"),
+          cleanStats: document.getElementById("clean-stats"),
+          cleanDiff: document.getElementById("clean-diff"),
+          lexiconWord: document.getElementById("lexiconWord"),
+          lexiconType: document.getElementById("lexiconType"),
+          lexiconValue: document.getElementById("lexiconValue"),
+          lexiconAlphabet: document.getElementById("lexiconAlphabet"),
+          lexiconLocale: document.getElementById("lexiconLocale"),
+          btnLexiconAdd: document.getElementById("btn-lexicon-add"),
+          lexiconBody: document.getElementById("lexicon-body"),
           customVoiceConfig: document.getElementById("custom-voice-config"),
           customVoiceName: document.getElementById("customVoiceName"),
+          dialogueEnabled: document.getElementById("dialogueEnabled"),
+          autoLanguage: document.getElementById("autoLanguage"),
+          dialogueConfig: document.getElementById("dialogue-config"),
+          dialogueVoice: document.getElementById("dialogueVoice"),
+          dialogueStyle: document.getElementById("dialogueStyle"),
+          voiceCatalog: document.getElementById("voice-catalog"),
           voiceStyle: document.getElementById("voiceStyle"),
           voiceRole: document.getElementById("voiceRole"),
           styleDegree: document.getElementById("styleDegree"),
@@ -2585,6 +7427,246 @@ curl --location '\${baseUrl}/v1/audio/speech' \\\\
           elements.curlCode.textContent = curlCommand;
         };
 
+        // 从 /v1/audio/voices 加载完整音色目录，供自定义音色输入框联想
+        const loadVoiceCatalog = async () => {
+          const apiKey = elements.apiKey.value.trim();
+          if (!apiKey) return;
+          try {
+            const response = await fetch(\`\${elements.baseUrl.value}/v1/audio/voices\`, {
+              headers: { "Authorization": \`Bearer \${apiKey}\` }
+            });
+            if (!response.ok) return;
+            const { data } = await response.json();
+            elements.voiceCatalog.innerHTML = "";
+            data.forEach(v => {
+              const option = document.createElement("option");
+              option.value = v.id;
+              option.label = \`\${v.local_name} · \${v.locale} · \${v.gender}\${v.styles.length ? " · " + v.styles.length + " 种风格" : ""}\`;
+              elements.voiceCatalog.appendChild(option);
+            });
+          } catch (error) {
+            console.warn("Failed to load voice catalog:", error);
+          }
+        };
+
+        // 发音词典编辑器
+        const lexiconRequest = async (path, options = {}) => {
+          const response = await fetch(\`\${elements.baseUrl.value}/api/lexicon\${path}\`, {
+            ...options,
+            headers: { "Authorization": \`Bearer \${elements.apiKey.value.trim()}\`, "Content-Type": "application/json" }
+          });
+          const data = await response.json();
+          if (!response.ok) throw new Error(data.error.message);
+          return data;
+        };
+
+        const renderLexicon = (entries) => {
+          elements.lexiconBody.innerHTML = "";
+          if (entries.length === 0) {
+            const row = elements.lexiconBody.insertRow();
+            const cell = row.insertCell();
+            cell.colSpan = 4;
+            cell.style.padding = "0.4rem";
+            cell.style.color = "#666";
+            cell.textContent = "词典为空";
+            return;
+          }
+          entries.forEach(entry => {
+            const row = elements.lexiconBody.insertRow();
+            row.style.borderBottom = "1px solid #f1f3f5";
+            [
+              entry.word,
+              entry.alias ? entry.alias : \`[\${entry.alphabet}] \${entry.phoneme}\`,
+              entry.locale || "全局"
+            ].forEach(text => {
+              const cell = row.insertCell();
+              cell.style.padding = "0.4rem";
+              cell.textContent = text;
+            });
+            const button = document.createElement("button");
+            button.textContent = "删除";
+            button.style.cssText = "background: none; border: none; color: var(--error-color); cursor: pointer;";
+            button.addEventListener("click", async () => {
+              try {
+                await lexiconRequest(\`/\${entry.id}\`, { method: "DELETE" });
+                loadLexicon();
+              } catch (error) {
+                updateStatus(\`删除词条失败: \${error.message}\`, "error");
+              }
+            });
+            row.insertCell().appendChild(button);
+          });
+        };
+
+        const loadLexicon = async () => {
+          if (!elements.apiKey.value.trim()) return;
+          try {
+            const { entries } = await lexiconRequest("");
+            renderLexicon(entries);
+          } catch (error) {
+            updateStatus(\`加载发音词典失败: \${error.message}\`, "error");
+          }
+        };
+
+        elements.lexiconDetails.addEventListener("toggle", () => {
+          if (elements.lexiconDetails.open) loadLexicon();
+        });
+
+        elements.btnLexiconAdd.addEventListener("click", async () => {
+          const value = elements.lexiconValue.value.trim();
+          const entry = {
+            word: elements.lexiconWord.value.trim(),
+            locale: elements.lexiconLocale.value.trim(),
+          };
+          if (elements.lexiconType.value === "alias") {
+            entry.alias = value;
+          } else {
+            entry.phoneme = value;
+            entry.alphabet = elements.lexiconAlphabet.value;
+          }
+          try {
+            await lexiconRequest("", { method: "POST", body: JSON.stringify(entry) });
+            elements.lexiconWord.value = "";
+            elements.lexiconValue.value = "";
+            updateStatus("词条已保存", "success");
+            loadLexicon();
+          } catch (error) {
+            updateStatus(\`保存词条失败: \${error.message}\`, "error");
+          }
+        });
+
+        // 替换规则集列表，展开清理选项时加载
+        const loadRuleSets = async () => {
+          if (!elements.apiKey.value.trim()) return;
+          try {
+            const response = await fetch(\`\${elements.baseUrl.value}/api/rule-sets\`, {
+              headers: { "Authorization": \`Bearer \${elements.apiKey.value.trim()}\` }
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error.message);
+            const selected = elements.ruleSet.value;
+            elements.ruleSet.length = 1;
+            data.rule_sets.forEach(set => {
+              elements.ruleSet.add(new Option(set.description ? \`\${set.name} - \${set.description}\` : set.name, set.name));
+            });
+            elements.ruleSet.value = data.rule_sets.some(set => set.name === selected) ? selected : "";
+          } catch (error) {
+            updateStatus(\`加载替换规则集失败: \${error.message}\`, "error");
+          }
+        };
+
+        elements.cleaningDetails.addEventListener("toggle", () => {
+          if (elements.cleaningDetails.open) loadRuleSets();
+        });
+
+        // 清理预览：调用 /api/clean，逐词比较清理前后的文本，标出删除和新增的内容以及分段位置
+        const MAX_DIFF_EDITS = 2000;
+        const tokenizeForDiff = (text) => text.match(/[A-Za-z0-9_]+|\\s+|[\\s\\S]/gu) || [];
+
+        // Myers 差分，编辑次数超过 MAX_DIFF_EDITS 时返回 null
+        const diffTokens = (a, b) => {
+          const max = a.length + b.length;
+          const offset = max + 1;
+          const v = new Int32Array(2 * max + 3);
+          const trace = [];
+          for (let d = 0; d <= max && d <= MAX_DIFF_EDITS; d++) {
+            trace.push(v.slice(offset - d - 1, offset + d + 2));
+            for (let k = -d; k <= d; k += 2) {
+              let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+              let y = x - k;
+              while (x < a.length && y < b.length && a[x] === b[y]) { x++; y++; }
+              v[offset + k] = x;
+              if (x >= a.length && y >= b.length) return backtrackDiff(trace, a, b);
+            }
+          }
+          return null;
+        };
+
+        const backtrackDiff = (trace, a, b) => {
+          const ops = [];
+          let x = a.length;
+          let y = b.length;
+          for (let d = trace.length - 1; d >= 0; d--) {
+            const get = (k) => trace[d][k + d + 1];
+            const k = x - y;
+            const prevK = k === -d || (k !== d && get(k - 1) < get(k + 1)) ? k + 1 : k - 1;
+            const prevX = get(prevK);
+            const prevY = prevX - prevK;
+            while (x > prevX && y > prevY) { ops.push(["=", a[--x]]); y--; }
+            if (d > 0) ops.push(x === prevX ? ["+", b[--y]] : ["-", a[--x]]);
+            x = prevX;
+            y = prevY;
+          }
+          return ops.reverse();
+        };
+
+        const renderCleanDiff = (original, result) => {
+          const container = elements.cleanDiff;
+          container.innerHTML = "";
+          const ops = diffTokens(tokenizeForDiff(original), tokenizeForDiff(result.cleaned_text));
+          if (!ops) {
+            container.textContent = result.cleaned_text;
+            return false;
+          }
+          const starts = result.chunks.slice(1).map(chunk => chunk.start);
+          let position = 0;
+          let pending = { type: null, text: "" };
+          const flush = () => {
+            if (!pending.text) return;
+            const node = document.createElement(pending.type === "-" ? "del" : pending.type === "+" ? "ins" : "span");
+            if (pending.type === "-") node.style.cssText = "background: #ffe3e3; color: #c92a2a;";
+            if (pending.type === "+") node.style.cssText = "background: #d3f9d8; color: #2b8a3e; text-decoration: none;";
+            node.textContent = pending.text;
+            container.appendChild(node);
+            pending = { type: null, text: "" };
+          };
+          ops.forEach(([type, token]) => {
+            if (type !== "-" && starts.length && position >= starts[0]) {
+              flush();
+              const marker = document.createElement("span");
+              marker.style.cssText = "display: inline-block; margin: 0 0.2rem; padding: 0 0.3rem; border-radius: 4px; background: var(--primary-color); color: white; font-size: 0.75rem;";
+              marker.textContent = \`第 \${result.chunks.length - starts.length + 1} 段\`;
+              container.appendChild(marker);
+              starts.shift();
+            }
+            if (type !== pending.type) flush();
+            pending.type = type;
+            pending.text += token;
+            if (type !== "-") position += token.length;
+          });
+          flush();
+          return true;
+        };
+
+        elements.btnCleanPreview.addEventListener("click", async () => {
+          const text = elements.inputText.value;
+          if (!text.trim()) {
+            updateStatus("请输入要预览的文本", "error");
+            return;
+          }
+          try {
+            const response = await fetch(\`\${elements.baseUrl.value}/api/clean\`, {
+              method: "POST",
+              headers: { "Authorization": \`Bearer \${elements.apiKey.value.trim()}\`, "Content-Type": "application/json" },
+              body: JSON.stringify({ input: text, cleaning_options: getCleaningOptions(), speed: parseFloat(elements.speed.value) }),
+            });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.error.message);
+            const complete = renderCleanDiff(text, result);
+            const minutes = Math.floor(result.estimated_duration / 60);
+            const seconds = Math.round(result.estimated_duration % 60);
+            elements.cleanStats.textContent =
+              \`原文 \${result.original_characters} 字 → 清理后 \${result.cleaned_characters} 字，共 \${result.chunks.length} 段，\` +
+              \`预计时长约 \${minutes ? \`\${minutes} 分 \` : ""}\${seconds} 秒\` +
+              (complete ? "" : "（改动过多，仅显示清理后的文本）");
+            elements.cleanPreview.style.display = "block";
+          } catch (error) {
+            updateStatus(\`清理预览失败: \${error.message}\`, "error");
+          }
+        });
+
         // Event listener for Save and Validate button
         elements.saveConfig.addEventListener("click", async () => {
           const key = elements.apiKey.value.trim();
@@ -2598,6 +7680,7 @@ curl --location '\${baseUrl}/v1/audio/speech' \\\\
           updateStatus("API Key 已保存！", "success");
           elements.apiConfig.open = false;
           updateCurlExample();
+          loadVoiceCatalog();
         });
 
         // 设备检测函数
@@ -2644,12 +7727,12 @@ curl --location '\${baseUrl}/v1/audio/speech' \\\\
               style: voiceConfig.style,
               role: voiceConfig.role,
               styleDegree: voiceConfig.styleDegree,
+              dialogue_options: voiceConfig.dialogueOptions,
+              auto_language: elements.autoLanguage.checked || undefined,
               stream: isStream,
-              cleaning_options: {
-                remove_markdown: elements.removeMarkdown.checked, remove_emoji: elements.removeEmoji.checked,
-                remove_urls: elements.removeUrls.checked, remove_line_breaks: elements.removeLineBreaks.checked,
-                remove_citation_numbers: elements.removeCitation.checked, custom_keywords: elements.customKeywords.value,
-              },
+              // 流式模式使用 SSE，以便显示合成进度并得知音频是否完整
+              ...(isStream ? { stream_format: "sse" } : {}),
+              cleaning_options: getCleaningOptions(),
             };
 
             const controller = new AbortController();
@@ -2677,29 +7760,46 @@ curl --location '\${baseUrl}/v1/audio/speech' \\\\
               
               mediaSource.addEventListener("sourceopen", () => {
                 const sourceBuffer = mediaSource.addSourceBuffer("audio/mpeg");
-                const reader = response.body.getReader();
-                
-                const pump = () => {
-                  reader.read().then(({ done, value }) => {
-                    if (done) {
-                      if (!sourceBuffer.updating) mediaSource.endOfStream();
+                const queue = [];
+                let finished = false;
+                const flush = () => {
+                  if (sourceBuffer.updating) return;
+                  if (queue.length > 0) {
+                    sourceBuffer.appendBuffer(queue.shift());
+                  } else if (finished && mediaSource.readyState === "open") {
+                    mediaSource.endOfStream();
+                  }
+                };
+                sourceBuffer.addEventListener("updateend", flush);
+                elements.synthesisProgress.value = 0;
+                elements.synthesisProgress.style.display = "block";
+
+                readSpeechEvents(response, (event) => {
+                  if (event.type === "speech.audio.delta") {
+                    queue.push(base64ToBytes(event.audio));
+                    flush();
+                    elements.synthesisProgress.value = event.total_characters
+                      ? (event.characters_done / event.total_characters) * 100
+                      : 100;
+                    updateStatus(\`正在生成流式语音... \${event.chunk_index + 1}/\${event.total_chunks} 段\`, "info", true);
+                  } else if (event.type === "speech.audio.done") {
+                    finished = true;
+                    flush();
+                    if (event.complete) {
                       updateStatus("流式播放完毕！", "success");
-                      return;
-                    }
-                    const append = () => sourceBuffer.appendBuffer(value);
-                    if (sourceBuffer.updating) {
-                      sourceBuffer.addEventListener("updateend", append, { once: true });
                     } else {
-                      append();
+                      updateStatus(\`流式播放完毕，但有 \${event.skipped_chunks.length} 段合成失败已跳过\`, "error", true);
                     }
-                  });
-                };
-                sourceBuffer.addEventListener("updateend", pump);
-                pump();
-                
-                // 流式播放完成后的保存逻辑
-                // 流式播放完成，不自动保存
-                // 保存功能由"直接保存"按钮单独处理
+                  } else if (event.type === "error") {
+                    throw new Error(event.error.message);
+                  }
+                }).catch((error) => {
+                  console.error("Stream error:", error);
+                  try { mediaSource.endOfStream("network"); } catch (_) {}
+                  updateStatus(\`错误: \${error.message}\`, "error", true);
+                }).finally(() => {
+                  elements.synthesisProgress.style.display = "none";
+                });
               }, { once: true });
             } else {
               const blob = await response.blob();
@@ -2742,6 +7842,34 @@ curl --location '\${baseUrl}/v1/audio/speech' \\\\
           }
         };
 
+        const base64ToBytes = (base64) => {
+          const binary = atob(base64);
+          const bytes = new Uint8Array(binary.length);
+          for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+          return bytes;
+        };
+
+        // 逐个解析 /v1/audio/speech 返回的 SSE 事件 (stream_format: "sse")
+        const readSpeechEvents = async (response, onEvent) => {
+          const reader = response.body.getReader();
+          const decoder = new TextDecoder();
+          let buffer = "";
+          while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            buffer += decoder.decode(value, { stream: true });
+            const events = buffer.split("\\n\\n");
+            buffer = events.pop();
+            for (const event of events) {
+              const data = event.split("\\n")
+                .filter((line) => line.startsWith("data:"))
+                .map((line) => line.slice(5).trim())
+                .join("");
+              if (data) onEvent(JSON.parse(data));
+            }
+          }
+        };
+
         // Convert ArrayBuffer to Base64 safely
         const arrayBufferToBase64 = async (buffer) => {
           const bytes = new Uint8Array(buffer);
@@ -2773,12 +7901,15 @@ curl --location '\${baseUrl}/v1/audio/speech' \\\\
               role: voiceConfig.role,
               styleDegree: voiceConfig.styleDegree,
               cleaningOptions: requestBody.cleaning_options,
+              dialogueOptions: requestBody.dialogue_options,
+              autoLanguage: requestBody.auto_language,
+              ...getShareLimits(),
               type: 'realtime' // 标记为实时播放类型
             };
             
             const response = await fetch('/api/save-realtime', {
               method: 'POST',
-              headers: { 'Content-Type': 'application/json' },
+              headers: { 'Authorization': \`Bearer \${elements.apiKey.value.trim()}\`, 'Content-Type': 'application/json' },
               body: JSON.stringify(realtimeData)
             });
             
@@ -2830,7 +7961,7 @@ curl --location '\${baseUrl}/v1/audio/speech' \\\\
         };
 
         // Save to history function
-        const saveToHistory = async (requestBody, audioBlob) => {
+        const saveToHistory = async (requestBody, audioBlob, subtitleCues = null) => {
           try {
             updateStatus("正在保存到历史记录...", "info", true);
             
@@ -2842,9 +7973,17 @@ curl --location '\${baseUrl}/v1/audio/speech' \\\\
             formData.append('pitch', requestBody.pitch.toString());
             formData.append('cleaningOptions', JSON.stringify(requestBody.cleaning_options));
             formData.append('audioFile', audioBlob, 'audio.mp3');
+            if (subtitleCues) {
+              formData.append('subtitles', JSON.stringify(subtitleCues));
+            }
+            const shareLimits = getShareLimits();
+            formData.append('expiresIn', String(shareLimits.expiresIn));
+            formData.append('maxViews', String(shareLimits.maxViews));
+            formData.append('autoDelete', String(shareLimits.autoDelete));
             
             const response = await fetch('/api/save', {
               method: 'POST',
+              headers: { 'Authorization': \`Bearer \${elements.apiKey.value.trim()}\` },
               body: formData  // No Content-Type header needed for FormData
             });
             
@@ -2897,6 +8036,17 @@ curl --location '\${baseUrl}/v1/audio/speech' \\\\
         const updateDirectSaveButton = () => {
           const showButton = elements.saveToHistory.checked || elements.saveAsRealtime.checked;
           elements.directSaveButtons.style.display = showButton ? 'block' : 'none';
+          elements.shareLimits.style.display = showButton ? 'flex' : 'none';
+        };
+        
+        // 分享的有效期和播放次数限制（0 表示不限）
+        const getShareLimits = () => {
+          const expiresIn = Number(elements.shareExpiresIn.value);
+          return {
+            expiresIn,
+            maxViews: Math.max(0, parseInt(elements.shareMaxViews.value, 10) || 0),
+            autoDelete: expiresIn > 0 && elements.shareAutoDelete.checked
+          };
         };
         
         elements.saveToHistory.addEventListener("change", () => {
@@ -2938,31 +8088,27 @@ curl --location '\${baseUrl}/v1/audio/speech' \\\\
             style: voiceConfig.style,
             role: voiceConfig.role,
             styleDegree: voiceConfig.styleDegree,
+            dialogue_options: voiceConfig.dialogueOptions,
+            auto_language: elements.autoLanguage.checked || undefined,
             stream: false, // 直接保存使用标准模式
-            cleaning_options: {
-              remove_markdown: elements.removeMarkdown.checked,
-              remove_emoji: elements.removeEmoji.checked,
-              remove_urls: elements.removeUrls.checked,
-              remove_line_breaks: elements.removeLineBreaks.checked,
-              remove_citation_numbers: elements.removeCitation.checked,
-              custom_keywords: elements.customKeywords.value,
-            },
+            cleaning_options: getCleaningOptions(),
           };
 
           try {
             updateStatus("正在直接保存到历史记录...", "info", true);
             
             if (elements.saveToHistory.checked) {
-              // 生成音频并保存到历史记录
+              // 生成音频（同时生成字幕）并保存到历史记录
               const response = await fetch(\`\${elements.baseUrl.value}/v1/audio/speech\`, {
                 method: "POST",
                 headers: { "Authorization": \`Bearer \` + apiKey, "Content-Type": "application/json" },
-                body: JSON.stringify(requestBody),
+                body: JSON.stringify({ ...requestBody, subtitle_format: "vtt" }),
               });
               
               if (response.ok) {
-                const blob = await response.blob();
-                await saveToHistory(requestBody, blob);
+                const result = await response.json();
+                const blob = new Blob([base64ToBytes(result.audio)], { type: result.content_type });
+                await saveToHistory(requestBody, blob, result.cues);
               } else {
                 throw new Error('生成音频失败');
               }
@@ -2996,8 +8142,27 @@ curl --location '\${baseUrl}/v1/audio/speech' \\\\
         const toggleCustomVoiceConfig = () => {
           const isCustom = elements.voice.value === 'custom';
           elements.customVoiceConfig.style.display = isCustom ? 'block' : 'none';
+          elements.dialogueConfig.style.display = elements.dialogueEnabled.checked ? 'grid' : 'none';
         };
 
+        // 高级文本清理选项
+        const getCleaningOptions = () => ({
+          remove_markdown: elements.removeMarkdown.checked,
+          remove_emoji: elements.removeEmoji.checked,
+          remove_urls: elements.removeUrls.checked,
+          remove_line_breaks: elements.removeLineBreaks.checked,
+          remove_citation_numbers: elements.removeCitation.checked,
+          custom_keywords: elements.customKeywords.value,
+          markdown_mode: elements.expressiveMarkdown.checked ? "expressive" : "strip",
+          normalize_dates: elements.normalizeDates.checked,
+          normalize_times: elements.normalizeTimes.checked,
+          normalize_currency: elements.normalizeCurrency.checked,
+          normalize_percent: elements.normalizePercent.checked,
+          normalize_units: elements.normalizeUnits.checked,
+          normalize_versions: elements.normalizeVersions.checked,
+          rule_set: elements.ruleSet.value || undefined,
+        });
+
         // Get effective voice configuration
         const getVoiceConfig = () => {
           if (elements.voice.value === 'custom') {
@@ -3005,7 +8170,12 @@ curl --location '\${baseUrl}/v1/audio/speech' \\\\
               voice: elements.customVoiceName.value.trim() || 'zh-CN-XiaoxiaoNeural',
               style: elements.voiceStyle.value || 'general',
               role: elements.voiceRole.value || '',
-              styleDegree: parseFloat(elements.styleDegree.value)
+              styleDegree: parseFloat(elements.styleDegree.value),
+              dialogueOptions: elements.dialogueEnabled.checked ? {
+                enabled: true,
+                voice: elements.dialogueVoice.value.trim(),
+                style: elements.dialogueStyle.value,
+              } : undefined
             };
           } else {
             return {
@@ -3026,6 +8196,7 @@ curl --location '\${baseUrl}/v1/audio/speech' \\\\
         };
         
         ['speed', 'voice', 'apiKey'].forEach(id => elements[id].addEventListener('input', updateUI));
+        elements.dialogueEnabled.addEventListener('change', updateUI);
         ['pitch'].forEach(id => elements[id].addEventListener('input', () => elements.pitchValue.textContent = parseFloat(elements.pitch.value).toFixed(2)));
         elements.styleDegree.addEventListener('input', () => elements.styleDegreeValue.textContent = parseFloat(elements.styleDegree.value).toFixed(2));
 
@@ -3045,6 +8216,7 @@ curl --location '\${baseUrl}/v1/audio/speech' \\\\
         initUsageTips();
         
         updateUI();
+        loadVoiceCatalog();
       });
     </script>
   </body>